@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default role -> permission map. Override it with ROLES_CONFIG (a JSON string)
+// or ROLES_CONFIG_FILE (path to a JSON file) using the same shape.
+// '*' grants everything, 'clients:*' grants every clients permission.
+// Roles without clients:all only see clients assigned to their linked trainer.
+// Permissions not listed for a role (e.g. clients:delete, trainers:delete,
+// attendance:delete, payments:delete, plans:manage, users:manage, financials:read,
+// settings:manage, reports:read, devices:manage, backups:run,
+// notifications:read, notifications:send, templates:manage, jobs:read, audit:read) are owner-only.
+const DEFAULT_ROLES = {
+  owner: ['*'],
+  frontdesk: [
+    'clients:all',
+    'clients:read',
+    'clients:create',
+    'clients:update',
+    'clients:photo',
+    'clients:freeze',
+    'attendance:read',
+    'attendance:checkin',
+    'trainers:read',
+    'plans:read',
+    'payments:create'
+  ],
+  trainer: [
+    'clients:read',
+    'attendance:read',
+    'attendance:checkin'
+  ]
+};
+
+const loadRoles = () => {
+  try {
+    if (process.env.ROLES_CONFIG) {
+      return JSON.parse(process.env.ROLES_CONFIG);
+    }
+    if (process.env.ROLES_CONFIG_FILE) {
+      const file = path.resolve(process.env.ROLES_CONFIG_FILE);
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Invalid roles configuration, falling back to defaults:', error.message);
+  }
+  return DEFAULT_ROLES;
+};
+
+const roles = loadRoles();
+
+const getRoleNames = () => Object.keys(roles);
+
+const getPermissions = (role) => roles[role] || [];
+
+const hasPermission = (role, permission) => {
+  const [scope] = permission.split(':');
+  return getPermissions(role).some(p => p === '*' || p === permission || p === `${scope}:*`);
+};
+
+module.exports = { getRoleNames, getPermissions, hasPermission };
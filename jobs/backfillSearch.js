@@ -0,0 +1,36 @@
+const Client = require('../models/Client');
+const { searchFields } = require('../utils/search');
+
+const BATCH_SIZE = 500;
+
+// Fill in the `search` field (see models/Client.js) for clients saved before
+// client search used it. Only clients without one are touched unless `all`
+// is set (scripts/backfill-search.js recomputes everyone). Until this has run,
+// searchClients falls back to plain name/phone matching for those clients.
+const backfillSearch = async ({ all = false } = {}) => {
+  // Raw collection access: include clients in the recycle bin too
+  const clients = Client.collection;
+  const filter = all ? {} : { search: { $exists: false } };
+  const cursor = clients.find(filter, { projection: { name: 1, address: 1, phone: 1 } });
+
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await clients.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const client of cursor) {
+    const search = searchFields({ name: client.name, address: client.address, phone: client.phone });
+    batch.push({ updateOne: { filter: { _id: client._id }, update: { $set: { search } } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  if (updated > 0) console.log(`Search fields written for ${updated} client(s)`);
+  return { updated };
+};
+
+module.exports = backfillSearch;
@@ -0,0 +1,62 @@
+const Attendance = require('../models/Attendance');
+const { getSettings } = require('../utils/settings');
+const { DAY_MS, toCalendarDate, zonedTimeToUtc } = require('../utils/time');
+
+// First occurrence of the gym's closing time ("HH:mm", gym timezone) after `timeIn`
+const nextClosingTime = (timeIn, closingTime, timeZone) => {
+  const [hour, minute] = closingTime.split(':').map(Number);
+  const closingOn = (day) => zonedTimeToUtc({
+    year: day.getUTCFullYear(),
+    month: day.getUTCMonth() + 1,
+    day: day.getUTCDate(),
+    hour,
+    minute
+  }, timeZone);
+
+  const day = toCalendarDate(timeIn, timeZone);
+  const closeAt = closingOn(day);
+  return closeAt > timeIn ? closeAt : closingOn(new Date(day.getTime() + DAY_MS));
+};
+
+// When an open session should be closed by the system, and why
+const getAutoCloseTime = (attendance, settings) => {
+  const candidates = [];
+  if (settings.closingTime) {
+    const at = nextClosingTime(attendance.timeIn, settings.closingTime, settings.timezone);
+    candidates.push({ at, reason: 'closing_time' });
+  }
+  if (settings.maxSessionHours) {
+    const at = new Date(attendance.timeIn.getTime() + settings.maxSessionHours * 60 * 60 * 1000);
+    candidates.push({ at, reason: 'max_duration' });
+  }
+  return candidates.sort((a, b) => a.at - b.at)[0] || null;
+};
+
+// Close sessions members forgot to time out of. Pass a client id to only
+// check that client (used right before their next time-in).
+const closeStaleSessions = async ({ client } = {}) => {
+  const settings = await getSettings();
+  const query = { timeOut: null };
+  if (client) query.client = client;
+
+  const now = new Date();
+  const openSessions = await Attendance.find(query);
+  let closed = 0;
+
+  for (const attendance of openSessions) {
+    const autoClose = getAutoCloseTime(attendance, settings);
+    if (!autoClose || autoClose.at > now) continue;
+
+    // Guard on timeOut so a member timing out at the same moment wins
+    const result = await Attendance.updateOne(
+      { _id: attendance._id, timeOut: null },
+      { timeOut: autoClose.at, autoClosed: true, closeReason: autoClose.reason }
+    );
+    closed += result.modifiedCount;
+  }
+
+  if (closed > 0) console.log(`Auto-closed ${closed} forgotten session(s)`);
+  return { checked: openSessions.length, closed };
+};
+
+module.exports = closeStaleSessions;
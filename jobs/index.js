@@ -0,0 +1,41 @@
+const sendFeeReminders = require('./sendFeeReminders');
+const closeStaleSessions = require('./closeStaleSessions');
+const retryNotifications = require('./retryNotifications');
+const sendWinBacks = require('./sendWinBacks');
+const purgeDeleted = require('./purgeDeleted');
+const backfillSearch = require('./backfillSearch');
+const { runJob } = require('../utils/jobRuns');
+const { createBackup } = require('../utils/backups');
+
+// Scheduled jobs by name. Daily jobs run at most once per gym day.
+// The same names are used for the /api/cron/<name> endpoints (see vercel.json).
+//
+// vercel.json only uses daily schedules, because Vercel's Hobby plan rejects
+// anything more frequent. Forgotten sessions are also closed on each time-in
+// and attendance read, so the daily close-sessions run only sweeps up the rest.
+// On a paid plan, close-sessions (every 30 minutes) and retry-notifications
+// (every 10 minutes, to keep the retry backoff) may be scheduled more often.
+//
+// Vercel cron schedules are in UTC and don't follow settings.timezone: the
+// hours in vercel.json are picked for Asia/Karachi (UTC+5), e.g. fee-reminders
+// at 04:00 UTC = 9 AM there. Shift them when the gym is in another timezone.
+const JOBS = {
+  'fee-reminders': { handler: () => sendFeeReminders(), daily: true },
+  'backup': { handler: () => createBackup(), daily: true },
+  'win-back': { handler: () => sendWinBacks(), daily: true },
+  'purge-deleted': { handler: () => purgeDeleted(), daily: true },
+  'backfill-search': { handler: () => backfillSearch(), daily: true },
+  'close-sessions': { handler: () => closeStaleSessions() },
+  'retry-notifications': { handler: () => retryNotifications() },
+};
+
+// Own keys only, so names like "constructor" aren't mistaken for jobs
+const isJob = (name) => Object.hasOwn(JOBS, name);
+
+const runNamedJob = (name, trigger) => {
+  if (!isJob(name)) throw new Error(`Unknown job: ${name}`);
+  const { handler, daily } = JOBS[name];
+  return runJob(name, handler, { daily, trigger });
+};
+
+module.exports = { JOBS, isJob, runNamedJob };
@@ -0,0 +1,67 @@
+const Attendance = require('../models/Attendance');
+const Client = require('../models/Client');
+const Freeze = require('../models/Freeze');
+const Notification = require('../models/Notification');
+const Trainer = require('../models/Trainer');
+const WinBack = require('../models/WinBack');
+const { getSettings } = require('../utils/settings');
+const { removeStoredPhoto } = require('../utils/photos');
+const { audit } = require('../utils/audit');
+const { DAY_MS } = require('../utils/time');
+
+// Permanently remove clients and trainers that have been in the recycle bin
+// longer than settings.recycleBinDays, with the records that only make sense
+// alongside them. Payments are kept for the books. Also clears attendance left
+// behind by clients deleted before soft delete existed.
+const purgeDeleted = async () => {
+  const settings = await getSettings();
+  const cutoff = new Date(Date.now() - settings.recycleBinDays * DAY_MS);
+  // Purges run without a request; audit entries get the "system" actor
+  const system = {};
+
+  const clients = await Client.find({ deletedAt: { $ne: null, $lt: cutoff } }).select('-photo.data');
+  let attendances = 0;
+  for (const client of clients) {
+    if (client.photo?.key) {
+      await removeStoredPhoto(client.photo).catch(error => console.error('Error removing photo:', error.message));
+    }
+    const removed = await Attendance.deleteMany({ client: client._id });
+    attendances += removed.deletedCount;
+    await Promise.all([
+      Freeze.deleteMany({ client: client._id }),
+      Notification.deleteMany({ client: client._id }),
+      WinBack.deleteMany({ client: client._id })
+    ]);
+    await Client.deleteOne({ _id: client._id, deletedAt: { $ne: null } });
+    await audit(system, {
+      action: 'client.purge',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      before: client,
+      details: { attendances: removed.deletedCount }
+    });
+  }
+
+  const trainers = await Trainer.find({ deletedAt: { $ne: null, $lt: cutoff } });
+  for (const trainer of trainers) {
+    // Clients were reassigned when the trainer was deleted; catch any stragglers
+    await Client.updateMany({ trainer: trainer._id }, { $unset: { trainer: 1 } }, { withDeleted: true });
+    await Trainer.deleteOne({ _id: trainer._id, deletedAt: { $ne: null } });
+    await audit(system, { action: 'trainer.purge', entity: 'Trainer', entityId: trainer._id, before: trainer });
+  }
+
+  const clientIds = await Client.find({}, null, { withDeleted: true }).distinct('_id');
+  const orphans = await Attendance.deleteMany({ client: { $nin: clientIds } });
+
+  const summary = {
+    clients: clients.length,
+    trainers: trainers.length,
+    attendances,
+    orphanedAttendances: orphans.deletedCount
+  };
+  console.log(`Purged ${summary.clients} client(s), ${summary.trainers} trainer(s), ${summary.orphanedAttendances} orphaned attendance(s)`);
+  return summary;
+};
+
+module.exports = purgeDeleted;
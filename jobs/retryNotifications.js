@@ -0,0 +1,40 @@
+const Notification = require('../models/Notification');
+const Client = require('../models/Client');
+const { DELIVERY_TIMEOUT_MS, claim, deliver } = require('../notifications');
+
+// Retry deliveries whose backoff has elapsed, and take over ones whose sender
+// died mid-delivery: their dedupeKey would otherwise block the message for good
+const retryNotifications = async () => {
+  const now = new Date();
+  const dueFilter = {
+    $or: [
+      { status: 'retrying', nextAttemptAt: { $lte: now } },
+      { status: { $in: ['pending', 'sending'] }, updatedAt: { $lte: new Date(now - DELIVERY_TIMEOUT_MS) } }
+    ]
+  };
+  const due = await Notification.find(dueFilter).select('_id').limit(100);
+  let retried = 0;
+  let sent = 0;
+
+  for (const { _id } of due) {
+    // Another run (Vercel cron, local scheduler, manual retry) may have taken it meanwhile
+    const notification = await claim({ _id, ...dueFilter });
+    if (!notification) continue;
+    retried += 1;
+
+    const client = await Client.findById(notification.client).select('-photo');
+    if (!client) {
+      notification.set({ status: 'failed', nextAttemptAt: undefined });
+      notification.attempts.push({ at: new Date(), error: 'Client no longer exists' });
+      await notification.save();
+      continue;
+    }
+    const result = await deliver(notification, client);
+    if (result.status === 'sent') sent += 1;
+  }
+
+  if (retried > 0) console.log(`Retried ${retried} notification(s), ${sent} sent`);
+  return { retried, sent };
+};
+
+module.exports = retryNotifications;
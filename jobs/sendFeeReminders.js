@@ -0,0 +1,50 @@
+const Client = require('../models/Client');
+const { getNextDueDate, daysUntil } = require('../utils/billing');
+const { getMembershipStatus } = require('../utils/membership');
+const { getSettings } = require('../utils/settings');
+const { gymToday } = require('../utils/time');
+const { renderTemplate } = require('../utils/templates');
+const { notify } = require('../notifications');
+
+// Days before the due date on which a reminder goes out
+const REMINDER_DAYS = [7, 3, 0];
+
+// Send fee reminders due today. Each member gets at most one reminder per
+// gym day, even if the job is invoked twice.
+const sendFeeReminders = async () => {
+  const settings = await getSettings();
+  const today = gymToday(settings.timezone);
+  const day = today.toISOString().slice(0, 10);
+
+  const clients = await Client.find({})
+    .select('name phone email preferredChannel language plan nextDueDate feeSubmissionDate freeze')
+    .populate('plan', 'name price');
+  const summary = { checked: clients.length, sent: 0, failed: 0, duplicates: 0 };
+
+  for (const client of clients) {
+    // No reminders while a membership is paused
+    if (getMembershipStatus(client, settings).status === 'frozen') continue;
+
+    const nextFee = getNextDueDate(client);
+    if (!nextFee) continue;
+    const diffDays = daysUntil(nextFee, today);
+    if (!REMINDER_DAYS.includes(diffDays)) continue;
+
+    const { subject, message } = await renderTemplate(`fee_due_${diffDays}`, client, settings);
+    const notification = await notify(client, {
+      type: 'fee_reminder',
+      subject,
+      message,
+      dedupeKey: `fee_reminder:${client._id}:${day}`
+    });
+
+    if (!notification) summary.duplicates += 1;
+    else if (notification.status === 'sent') summary.sent += 1;
+    else summary.failed += 1;
+  }
+
+  console.log(`Fee reminders: ${summary.sent} sent, ${summary.failed} failed, ${summary.duplicates} already sent today`);
+  return summary;
+};
+
+module.exports = sendFeeReminders;
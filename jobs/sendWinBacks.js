@@ -0,0 +1,49 @@
+const WinBack = require('../models/WinBack');
+const { getSettings } = require('../utils/settings');
+const { findInactiveClients } = require('../utils/inactivity');
+const { renderTemplate } = require('../utils/templates');
+const { notify } = require('../notifications');
+
+// Message members who have been away for settings.winBackAfterDays.
+// Each absence gets one message; the next one needs a new visit first.
+const sendWinBacks = async () => {
+  const settings = await getSettings();
+  if (!settings.winBackEnabled) return { enabled: false };
+
+  const inactive = await findInactiveClients({ days: settings.winBackAfterDays, settings });
+  const summary = { enabled: true, inactive: inactive.length, sent: 0, failed: 0, alreadyContacted: 0 };
+
+  for (const { client, lastVisit, daysAbsent } of inactive) {
+    if (await WinBack.exists({ client: client._id, lastVisit })) {
+      summary.alreadyContacted += 1;
+      continue;
+    }
+
+    const { subject, message } = await renderTemplate('win_back', client, settings, { vars: { daysAbsent } });
+    const notification = await notify(client, {
+      type: 'win_back',
+      subject,
+      message,
+      dedupeKey: `win_back:${client._id}:${lastVisit ? lastVisit.toISOString() : 'never'}`
+    });
+    if (!notification) {
+      summary.alreadyContacted += 1;
+      continue;
+    }
+
+    await WinBack.create({
+      client: client._id,
+      trainer: client.trainer?._id,
+      notification: notification._id,
+      lastVisit,
+      daysAbsent
+    });
+    if (notification.status === 'sent') summary.sent += 1;
+    else summary.failed += 1;
+  }
+
+  console.log(`Win-back messages: ${summary.sent} sent, ${summary.failed} failed`);
+  return summary;
+};
+
+module.exports = sendWinBacks;
@@ -1,15 +1,31 @@
-const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   if (!token) return res.status(401).json({ message: 'No token' });
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
   try {
-    const decoded = jwt.verify(token, 'secretkey');
-    req.user = decoded;
+    // Make sure the account behind the token still exists and is allowed in
+    const user = await User.findById(decoded.sub);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account disabled or removed' });
+    }
+    if (user.tokenVersion !== decoded.tv) {
+      return res.status(401).json({ message: 'Session expired, please log in again' });
+    }
+    req.user = user;
     next();
   } catch (err) {
-    res.status(401).json({ message: 'Invalid token' });
+    res.status(500).json({ message: err.message });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
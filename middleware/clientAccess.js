@@ -0,0 +1,19 @@
+const Client = require('../models/Client');
+const { isScoped, clientFilter } = require('../utils/clientScope');
+
+// Use after auth on routes with :id — blocks scoped users from clients that aren't theirs
+const clientAccess = async (req, res, next) => {
+  // Kiosk devices aren't tied to a trainer; their scopes are checked by deviceOrStaff
+  if (req.device || !isScoped(req.user)) return next();
+  try {
+    const allowed = await Client.exists({ _id: req.params.id, ...clientFilter(req.user) });
+    if (!allowed) {
+      return res.status(403).json({ message: 'You can only access your assigned clients' });
+    }
+    next();
+  } catch (err) {
+    res.status(404).json({ message: 'Client not found' });
+  }
+};
+
+module.exports = clientAccess;
@@ -0,0 +1,13 @@
+// Protects cron endpoints: Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ message: 'CRON_SECRET is not configured' });
+  }
+  if (req.header('Authorization') !== `Bearer ${secret}`) {
+    return res.status(401).json({ message: 'Invalid cron secret' });
+  }
+  next();
+};
+
+module.exports = cronAuth;
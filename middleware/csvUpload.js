@@ -0,0 +1,21 @@
+const multer = require('multer');
+const path = require('path');
+
+// CSV uploads for bulk import are parsed in memory, never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv';
+
+    if (isCsv) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV files (.csv) are allowed!'));
+    }
+  }
+});
+
+module.exports = csvUpload;
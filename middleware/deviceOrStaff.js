@@ -0,0 +1,36 @@
+const Device = require('../models/Device');
+const auth = require('./auth');
+const permit = require('./permit');
+const { hashToken } = require('../utils/tokens');
+
+// Only write lastSeenAt once a minute per device, not on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Accepts either a kiosk device token (X-Device-Token header) holding `scope`,
+// or a staff login holding `permission`. Sets req.device or req.user.
+const deviceOrStaff = (scope, permission) => async (req, res, next) => {
+  const deviceToken = req.header('X-Device-Token');
+  if (!deviceToken) {
+    return auth(req, res, () => permit(permission)(req, res, next));
+  }
+
+  try {
+    const device = await Device.findOne({ tokenHash: hashToken(deviceToken), revokedAt: null });
+    if (!device) {
+      return res.status(401).json({ message: 'Unknown or revoked device' });
+    }
+    if (!device.scopes.includes(scope)) {
+      return res.status(403).json({ message: `Device is missing scope: ${scope}`, scope });
+    }
+
+    if (!device.lastSeenAt || Date.now() - device.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+      await Device.updateOne({ _id: device._id }, { lastSeenAt: new Date(), lastSeenIp: req.ip });
+    }
+    req.device = device;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = deviceOrStaff;
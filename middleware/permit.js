@@ -0,0 +1,14 @@
+const { hasPermission } = require('../config/roles');
+
+// Use after auth: rejects with 403 naming the permission the user is missing
+const permit = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      message: `Missing permission: ${permission}`,
+      permission
+    });
+  }
+  next();
+};
+
+module.exports = permit;
@@ -0,0 +1,23 @@
+const multer = require('multer');
+const path = require('path');
+
+// Photos are kept in memory and handed to the storage driver (utils/photos.js)
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = /jpeg|jpg|png|gif|avif/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only images (jpeg, jpg, png, gif, avif) are allowed!'));
+    }
+  }
+});
+
+module.exports = photoUpload;
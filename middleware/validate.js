@@ -0,0 +1,23 @@
+const { getSettings } = require('../utils/settings');
+const { validateObject } = require('../utils/validation');
+
+// Validates req.body against a schema of field rules (utils/validation.js).
+// Only fields in the schema reach the route, already cleaned (trimmed,
+// phones in E.164, dates as "YYYY-MM-DD"). Bad input gets
+// 400 { message: 'Validation failed', errors: { field: message } }.
+// Pass { partial: true } for updates, where every field is optional.
+const validate = (schema, options = {}) => async (req, res, next) => {
+  try {
+    const { timezone } = await getSettings();
+    const { value, errors } = validateObject(schema, req.body, { timezone }, options);
+    if (errors) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    req.body = value;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+module.exports = validate;
@@ -3,8 +3,20 @@ const mongoose = require('mongoose');
 const attendanceSchema = new mongoose.Schema({
   client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
   timeIn: { type: Date, required: true },
-  timeOut: { type: Date },
+  // null while the session is open (the unique index below relies on it)
+  timeOut: { type: Date, default: null },
   date: { type: Date, default: Date.now },
+  // Set when the system closed a session the member forgot to time out of
+  autoClosed: { type: Boolean, default: false },
+  closeReason: { type: String, enum: ['closing_time', 'max_duration', 'client_deleted'] },
 }, { timestamps: true });
 
+attendanceSchema.index({ timeIn: 1 });
+attendanceSchema.index({ client: 1, timeOut: 1 });
+// At most one open session per client, even when two time-ins race
+attendanceSchema.index(
+  { client: 1 },
+  { unique: true, partialFilterExpression: { timeOut: { $type: 'null' } } }
+);
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Who changed what: one entry per change to clients, trainers or attendance
+const auditLogSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  // A staff login (from the JWT) or a kiosk device
+  actor: {
+    type: { type: String, enum: ['user', 'device', 'system'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String },
+    role: { type: String },
+  },
+  // e.g. 'client.update', 'attendance.timein'
+  action: { type: String, required: true },
+  entity: {
+    type: { type: String, required: true },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  // Client the change concerns, so a client's history includes their attendance
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client' },
+  // { field: { before, after } } for every field that changed
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  details: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+}, { minimize: false });
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, at: -1 });
+auditLogSchema.index({ 'actor.id': 1, at: -1 });
+auditLogSchema.index({ client: 1, at: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
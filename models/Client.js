@@ -1,19 +1,91 @@
 const mongoose = require("mongoose");
+const { addMonths } = require("../utils/billing");
+const softDelete = require("../utils/softDelete");
+const { searchFields } = require("../utils/search");
 
 const clientSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     phone: { type: String, required: true },
     address: { type: String, required: true },
-    feeSubmissionDate: { type: Date, required: true },
+    email: { type: String, trim: true, lowercase: true },
+    // Channel tried first for reminders; the others are fallbacks
+    preferredChannel: { type: String, enum: ['whatsapp', 'sms', 'email'], default: 'whatsapp' },
+    // Language for messages, e.g. 'en' or 'ur' (gym default when empty)
+    language: { type: String, trim: true, lowercase: true },
+    // Legacy: date of the last fee payment before the payment ledger existed
+    feeSubmissionDate: { type: Date },
     trainer: { type: mongoose.Schema.Types.ObjectId, ref: "Trainer" },
+    plan: { type: mongoose.Schema.Types.ObjectId, ref: "Plan" },
+    // Derived from the payment ledger (end of the latest paid period)
+    nextDueDate: { type: Date },
+    // Day of month the membership renews on, so month-end dates don't drift
+    billingDay: { type: Number, min: 1, max: 31 },
+    // Bumped when a member card is reissued, invalidating older QR codes
+    cardVersion: { type: Number, default: 0 },
+    // Current/upcoming membership freeze, if any
+    freeze: {
+      start: Date,
+      end: Date,
+      reason: String,
+    },
     photo: {
-      data: String, // base64 string
+      key: String, // object key (or key prefix, when processed) in the photo storage backend
+      processed: Boolean, // true when profile/thumb JPEG+WebP variants exist under key
+      data: String, // legacy base64 copy, moved out by scripts/migrate-photos.js
       contentType: String, // 'image/jpeg', 'image/png', etc
+      size: Number,
       uploadedAt: Date,
     },
+    // Lowercased name/address words and the national phone number, kept in
+    // sync by the hooks below for indexed prefix search
+    search: {
+      type: new mongoose.Schema(
+        { name: [String], address: [String], phone: String },
+        { _id: false }
+      ),
+      select: false,
+    },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("Client", clientSchema);
\ No newline at end of file
+clientSchema.plugin(softDelete);
+clientSchema.index({ nextDueDate: 1 });
+clientSchema.index({ "search.name": 1 });
+clientSchema.index({ "search.address": 1 });
+clientSchema.index({ "search.phone": 1 });
+
+const SEARCHED_FIELDS = ["name", "address", "phone"];
+
+clientSchema.pre("save", function () {
+  const changed = SEARCHED_FIELDS.filter((field) => this.isNew || this.isModified(field));
+  if (changed.length === 0) return;
+  const fields = searchFields(Object.fromEntries(changed.map((field) => [field, this[field]])));
+  for (const [field, value] of Object.entries(fields)) {
+    this.set(`search.${field}`, value);
+  }
+});
+
+// Updates that change a searched field refresh its search values too
+clientSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], function () {
+  const update = this.getUpdate() || {};
+  const values = {};
+  for (const field of SEARCHED_FIELDS) {
+    if (update[field] !== undefined) values[field] = update[field];
+    else if (update.$set && update.$set[field] !== undefined) values[field] = update.$set[field];
+  }
+  if (Object.keys(values).length === 0) return;
+  const fields = searchFields(values);
+  this.set(Object.fromEntries(Object.entries(fields).map(([field, value]) => [`search.${field}`, value])));
+});
+
+// Clients added with only a fee date start on the old one-month cycle
+clientSchema.pre("save", function () {
+  if (this.isNew && !this.nextDueDate && this.feeSubmissionDate) {
+    this.nextDueDate = addMonths(this.feeSubmissionDate, 1);
+    this.billingDay = this.feeSubmissionDate.getUTCDate();
+  }
+});
+
+module.exports = mongoose.model("Client", clientSchema);
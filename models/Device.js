@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const DEVICE_SCOPES = ['search', 'checkin', 'photo'];
+
+// A registered kiosk (front-desk tablet, door scanner) allowed on the /api/client router
+const deviceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  tokenHash: { type: String, required: true, unique: true },
+  scopes: {
+    type: [{ type: String, enum: DEVICE_SCOPES }],
+    default: DEVICE_SCOPES
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastSeenAt: { type: Date },
+  lastSeenIp: { type: String },
+  revokedAt: { type: Date },
+}, { timestamps: true });
+
+deviceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+deviceSchema.statics.SCOPES = DEVICE_SCOPES;
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const freezeSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
+  // Frozen range: [start, end)
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  // Days actually frozen; shrinks if the freeze is ended early
+  days: { type: Number, required: true, min: 0 },
+  reason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date },
+}, { timestamps: true });
+
+freezeSchema.index({ client: 1, start: -1 });
+
+module.exports = mongoose.model('Freeze', freezeSchema);
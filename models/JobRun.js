@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// History of scheduled job runs (Vercel Cron, node-cron or manual)
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true },
+  // Gym calendar day the run belongs to (daily jobs run once per day)
+  day: { type: String },
+  // "<job>:<day>" while a daily run is in progress or after it succeeded;
+  // the unique index makes a second run for the same day a no-op
+  lock: { type: String },
+  trigger: { type: String, enum: ['vercel', 'node-cron', 'manual'], default: 'manual' },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'skipped'],
+    default: 'running'
+  },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+});
+
+jobRunSchema.index({ lock: 1 }, { unique: true, sparse: true });
+jobRunSchema.index({ job: 1, startedAt: -1 });
+// Keep 90 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Admin-edited message texts. Only overrides live here; the built-in
+// defaults are in utils/templates.js.
+const messageTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, trim: true },
+  translations: [{
+    _id: false,
+    // Language code such as 'en' or 'ur'
+    language: { type: String, required: true, trim: true, lowercase: true },
+    subject: { type: String, trim: true },
+    body: { type: String, required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
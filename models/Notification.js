@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Delivery log: one document per message, with every channel attempt
+const notificationSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
+  // What the message is about, e.g. 'fee_reminder'
+  type: { type: String, required: true },
+  subject: { type: String },
+  message: { type: String, required: true },
+  // Set by jobs so the same message is never queued twice (e.g. one fee
+  // reminder per member per day)
+  dedupeKey: { type: String },
+  // 'sending' while one caller holds the delivery claim (see notifications/index.js)
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'retrying', 'failed'],
+    default: 'pending'
+  },
+  claimedAt: { type: Date },
+  // Channel and address the message finally went out on
+  channel: { type: String },
+  to: { type: String },
+  providerMessageId: { type: String },
+  sentAt: { type: Date },
+  // Delivery rounds so far (each round tries every channel in order)
+  tries: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date },
+  attempts: [{
+    _id: false,
+    channel: String,
+    to: String,
+    at: Date,
+    error: String,
+  }],
+}, { timestamps: true });
+
+notificationSchema.index({ client: 1, createdAt: -1 });
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: 'Plan' },
+  amount: { type: Number, required: true, min: 0 },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'bank_transfer', 'online', 'other'],
+    default: 'cash'
+  },
+  // Membership period this payment covers: [periodStart, periodEnd)
+  periodStart: { type: Date, required: true },
+  periodEnd: { type: Date, required: true },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String, trim: true },
+}, { timestamps: true });
+
+paymentSchema.index({ client: 1, periodEnd: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
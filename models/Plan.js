@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  type: {
+    type: String,
+    enum: ['monthly', 'quarterly', 'yearly', 'custom'],
+    default: 'monthly'
+  },
+  // Only used by 'custom' plans
+  durationDays: { type: Number, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  // Total days a member may freeze during one paid period
+  maxFreezeDays: { type: Number, min: 0, default: 14 },
+  active: { type: Boolean, default: true },
+}, { timestamps: true });
+
+planSchema.pre('validate', function () {
+  if (this.type === 'custom' && !this.durationDays) {
+    this.invalidate('durationDays', 'Custom plans need durationDays');
+  }
+});
+
+module.exports = mongoose.model('Plan', planSchema);
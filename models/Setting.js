@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/time');
+
+// Gym-wide settings, stored as a single document editable by owners
+const settingSchema = new mongoose.Schema({
+  key: { type: String, default: 'gym', unique: true },
+  gymName: { type: String, trim: true, default: 'Our Gym' },
+  // IANA timezone used for every "today"/day boundary (attendance, reports, reminders)
+  timezone: {
+    type: String,
+    default: process.env.GYM_TIMEZONE || 'Asia/Karachi',
+    validate: { validator: isValidTimeZone, message: props => `Unknown timezone: ${props.value}` }
+  },
+  // Days after the due date during which a member still counts as paid up
+  graceDays: { type: Number, min: 0, default: 3 },
+  // What time-in does for expired members: refuse, or accept with a warning
+  expiredCheckIn: { type: String, enum: ['block', 'warn'], default: 'block' },
+  // Same choice for members whose membership is frozen
+  frozenCheckIn: { type: String, enum: ['block', 'warn'], default: 'warn' },
+  // Open sessions are closed automatically at closing time ("HH:mm") or after
+  // maxSessionHours, whichever comes first; leave either empty to disable it
+  closingTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: '23:00' },
+  maxSessionHours: { type: Number, min: 1, default: 6 },
+  // Message language for clients who have not picked one
+  defaultLanguage: { type: String, trim: true, lowercase: true, default: 'en' },
+  // Send a "we miss you" message after this many days without a check-in
+  winBackEnabled: { type: Boolean, default: false },
+  winBackAfterDays: { type: Number, min: 1, default: 14 },
+  // Deleted clients and trainers stay restorable this long, then are purged
+  recycleBinDays: { type: Number, min: 1, default: 30 },
+  // Set by the first-run setup; claiming it atomically allows only one initial owner
+  bootstrappedAt: { type: Date },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', settingSchema);
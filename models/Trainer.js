@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('../utils/softDelete');
 
 const trainerSchema = new mongoose.Schema({
   name: {
@@ -12,4 +13,6 @@ const trainerSchema = new mongoose.Schema({
   }
 });
 
+trainerSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Trainer', trainerSchema);
\ No newline at end of file
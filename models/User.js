@@ -1,9 +1,48 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { getRoleNames } = require('../config/roles');
+
+const SALT_ROUNDS = 10;
 
 const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  role: { type: String, default: 'admin' },
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  password: { type: String, required: true, minlength: 6 },
+  name: { type: String, trim: true },
+  role: {
+    type: String,
+    default: 'frontdesk',
+    validate: {
+      validator: (role) => getRoleNames().includes(role),
+      message: props => `Unknown role: ${props.value}`
+    }
+  },
+  active: { type: Boolean, default: true },
+  // Set for trainer logins: limits which clients the account can see
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'Trainer' },
+  // Bumped on password change/reset so previously issued tokens stop working
+  tokenVersion: { type: Number, default: 0 },
+  lastLoginAt: { type: Date },
 }, { timestamps: true });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function () {
+  if (!this.isModified('password')) return;
+  this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+});
+
+// Accounts restored from a backup have no password hash and never match
+userSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidate || '', this.password);
+};
+
+// Never send the password hash to the client
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
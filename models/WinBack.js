@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A win-back message sent to a member after a long absence, and whether they came back
+const winBackSchema = new mongoose.Schema({
+  client: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', required: true },
+  trainer: { type: mongoose.Schema.Types.ObjectId, ref: 'Trainer' },
+  notification: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' },
+  // Last check-in before the message (null if the member never came)
+  lastVisit: { type: Date, default: null },
+  daysAbsent: { type: Number },
+  sentAt: { type: Date, default: Date.now },
+  // First check-in after the message
+  returnedAt: { type: Date },
+  returnAttendance: { type: mongoose.Schema.Types.ObjectId, ref: 'Attendance' },
+}, { timestamps: true });
+
+// One message per absence
+winBackSchema.index({ client: 1, lastVisit: 1 }, { unique: true });
+winBackSchema.index({ sentAt: -1 });
+
+module.exports = mongoose.model('WinBack', winBackSchema);
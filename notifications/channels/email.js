@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+// Email through any SMTP server
+const host = process.env.SMTP_HOST;
+const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+let transporter = null;
+
+const isConfigured = () => Boolean(host && from);
+
+const addressFor = (client) => client.email || null;
+
+const send = async (to, { message, subject }) => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  const info = await transporter.sendMail({ from, to, subject: subject || 'Message from your gym', text: message });
+  return { providerMessageId: info.messageId };
+};
+
+module.exports = { name: 'email', isConfigured, addressFor, send };
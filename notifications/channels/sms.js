@@ -0,0 +1,19 @@
+const twilio = require('twilio');
+
+// SMS through Twilio
+const accountSid = process.env.TWILIO_ACCOUNT_SID;
+const authToken = process.env.TWILIO_AUTH_TOKEN;
+const from = process.env.TWILIO_FROM;
+let client = null;
+
+const isConfigured = () => Boolean(accountSid && authToken && from);
+
+const addressFor = (member) => member.phone || null;
+
+const send = async (to, { message }) => {
+  if (!client) client = twilio(accountSid, authToken);
+  const result = await client.messages.create({ to, from, body: message });
+  return { providerMessageId: result.sid };
+};
+
+module.exports = { name: 'sms', isConfigured, addressFor, send };
@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// WhatsApp through a self-hosted Evolution API instance
+const evolutionApiUrl = process.env.EVOLUTION_API_URL;
+const evolutionApiKey = process.env.EVOLUTION_API_KEY;
+const evolutionInstance = process.env.EVOLUTION_INSTANCE;
+
+const isConfigured = () => Boolean(evolutionApiUrl && evolutionApiKey && evolutionInstance);
+
+const addressFor = (client) => client.phone || null;
+
+// Phones are stored in E.164; Evolution API wants the bare digits ("923001234567")
+const send = async (to, { message }) => {
+  const response = await axios.post(`${evolutionApiUrl}/message/sendText/${evolutionInstance}`, {
+    number: to.replace(/\D/g, ''),
+    text: message
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': evolutionApiKey
+    },
+    timeout: 15000
+  });
+  return { providerMessageId: response.data?.key?.id };
+};
+
+module.exports = { name: 'whatsapp', isConfigured, addressFor, send };
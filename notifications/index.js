@@ -0,0 +1,104 @@
+const Notification = require('../models/Notification');
+
+const CHANNELS = {
+  whatsapp: require('./channels/whatsapp'),
+  sms: require('./channels/sms'),
+  email: require('./channels/email')
+};
+
+// Order channels are tried in after the client's preferred one
+const FALLBACK_ORDER = (process.env.NOTIFY_FALLBACK_ORDER || 'whatsapp,sms,email')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => CHANNELS[name]);
+
+// Retry failed deliveries after 5, 10, 20, 40 minutes, then give up
+const MAX_TRIES = 5;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+// A claim older than this belongs to a run that died mid-send (e.g. a serverless
+// timeout); well above one round over every channel (15s provider timeouts)
+const DELIVERY_TIMEOUT_MS = 10 * 60 * 1000;
+
+const channelOrder = (client) => {
+  const preferred = CHANNELS[client.preferredChannel] ? [client.preferredChannel] : [];
+  return [...new Set([...preferred, ...FALLBACK_ORDER])];
+};
+
+// Atomically take a notification for delivery. Resolves to the claimed document, or
+// null when it doesn't match `filter` any more (sent, or claimed by another caller:
+// the cron, the local scheduler or a manual retry). Only the winner may call deliver().
+const claim = (filter) => Notification.findOneAndUpdate(
+  filter,
+  { $set: { status: 'sending', claimedAt: new Date() } },
+  { new: true }
+);
+
+// One delivery round: try each channel until one succeeds. Saves the notification.
+// The caller must hold the claim (status 'sending').
+const deliver = async (notification, client) => {
+  notification.tries += 1;
+
+  for (const name of channelOrder(client)) {
+    const channel = CHANNELS[name];
+    const to = channel.addressFor(client);
+    if (!channel.isConfigured() || !to) continue;
+
+    try {
+      const result = await channel.send(to, { message: notification.message, subject: notification.subject });
+      notification.attempts.push({ channel: name, to, at: new Date() });
+      notification.set({
+        status: 'sent',
+        channel: name,
+        to,
+        providerMessageId: result?.providerMessageId,
+        sentAt: new Date(),
+        nextAttemptAt: undefined
+      });
+      await notification.save();
+      console.log(`${name} message sent to ${to}`);
+      return notification;
+    } catch (error) {
+      const reason = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+      notification.attempts.push({ channel: name, to, at: new Date(), error: reason });
+      console.error(`Error sending ${name} message to ${to}:`, reason);
+    }
+  }
+
+  if (notification.attempts.length === 0) {
+    notification.attempts.push({ at: new Date(), error: 'No configured channel has an address for this client' });
+  }
+
+  if (notification.tries < MAX_TRIES) {
+    notification.status = 'retrying';
+    notification.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (notification.tries - 1));
+  } else {
+    notification.status = 'failed';
+    notification.nextAttemptAt = undefined;
+  }
+  await notification.save();
+  return notification;
+};
+
+// Send a message to a client on their preferred channel (with fallback) and log it.
+// Returns null when a notification with the same dedupeKey already exists.
+const notify = async (client, { type, message, subject, dedupeKey }) => {
+  let notification;
+  try {
+    // Created already claimed, so no retry picks it up while this first round runs
+    notification = await Notification.create({
+      client: client._id,
+      type,
+      message,
+      subject,
+      dedupeKey,
+      status: 'sending',
+      claimedAt: new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return null;
+    throw error;
+  }
+  return deliver(notification, client);
+};
+
+module.exports = { CHANNELS, DELIVERY_TIMEOUT_MS, claim, notify, deliver };
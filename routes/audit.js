@@ -0,0 +1,49 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { getSettings } = require('../utils/settings');
+const { parseDateRange } = require('../utils/time');
+
+const router = express.Router();
+
+const ID_FILTERS = {
+  entityId: 'entity.id',
+  actor: 'actor.id',
+  client: 'client'
+};
+
+// Query the audit log, newest first. Filters: ?entity= (Client, Trainer,
+// Attendance, User), ?entityId=, ?client=, ?actor= (user or device id),
+// ?actorType=user|device, ?action=, ?from=&to= (gym calendar days)
+router.get('/', auth, permit('audit:read'), async (req, res) => {
+  try {
+    const query = {};
+    for (const [param, field] of Object.entries(ID_FILTERS)) {
+      if (!req.query[param]) continue;
+      if (!mongoose.isValidObjectId(req.query[param])) {
+        return res.status(400).json({ message: `Invalid ${param}` });
+      }
+      query[field] = req.query[param];
+    }
+    if (req.query.entity) query['entity.type'] = req.query.entity;
+    if (req.query.actorType) query['actor.type'] = req.query.actorType;
+    if (req.query.action) query.action = req.query.action;
+
+    const { timezone } = await getSettings();
+    const range = parseDateRange(req.query.from, req.query.to, timezone);
+    if (range) query.at = range;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query).sort({ at: -1 }).limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+    res.json({ total, entries });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
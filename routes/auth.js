@@ -1,18 +1,153 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-
-router.post('/login', (req, res) => {
-  const { username, password } = req.body;
-  console.log(`Login attempt - username: ${username}, password: ${password ? '[HIDDEN]' : 'empty'}`);
-  if (username === 'admin' && password === '123') {
-    console.log('Login successful with hardcoded credentials');
-    const token = jwt.sign({ username: 'admin', role: 'admin' }, 'secretkey', { expiresIn: '1h' });
-    res.json({ token });
-  } else {
-    console.log('Login failed - invalid credentials');
-    res.status(401).json({ message: 'Invalid credentials' });
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const auth = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { getPermissions } = require('../config/roles');
+const { issueTokens, consumeRefreshToken, revokeRefreshTokens } = require('../utils/tokens');
+const v = require('../utils/validation');
+
+const bootstrapSchema = {
+  username: v.username({ required: true }),
+  password: v.password({ required: true }),
+  name: v.string({ max: 100 })
+};
+// Login checks the password as typed; length rules only apply when setting one
+const loginSchema = {
+  username: v.string({ required: true, max: 50 }),
+  password: v.string({ required: true, max: 128, trim: false })
+};
+const refreshSchema = { refreshToken: v.string({ required: true, max: 200 }) };
+// Logging out without a refresh token still succeeds
+const logoutSchema = { refreshToken: v.string({ max: 200 }) };
+const changePasswordSchema = {
+  currentPassword: v.string({ required: true, max: 128, trim: false }),
+  newPassword: v.password({ required: true })
+};
+
+// Check whether the first owner account still needs to be created
+router.get('/bootstrap', async (req, res) => {
+  try {
+    const userCount = await User.countDocuments();
+    res.json({ required: userCount === 0 });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// First-run setup: create the initial owner (only works while no users exist)
+router.post('/bootstrap', validate(bootstrapSchema), async (req, res) => {
+  try {
+    const userCount = await User.countDocuments();
+    if (userCount > 0) {
+      return res.status(409).json({ message: 'Setup already completed' });
+    }
+
+    // Two first-run requests can both see zero users; only the one that sets
+    // the bootstrap marker may create the owner
+    let claimed;
+    try {
+      claimed = await Setting.findOneAndUpdate(
+        { key: 'gym', bootstrappedAt: null },
+        { $set: { bootstrappedAt: new Date() } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (claimError) {
+      if (claimError.code !== 11000) throw claimError;
+    }
+    if (!claimed) {
+      return res.status(409).json({ message: 'Setup already completed' });
+    }
+
+    const { username, password, name } = req.body;
+    const user = new User({ username, password, name, role: 'owner' });
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Let setup be tried again
+      await Setting.updateOne({ key: 'gym' }, { $unset: { bootstrappedAt: 1 } });
+      throw saveError;
+    }
+    console.log(`Initial owner account created: ${user.username}`);
+
+    res.status(201).json({ user, ...(await issueTokens(user)) });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+router.post('/login', validate(loginSchema), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    console.log(`Login attempt - username: ${username}, password: ${password ? '[HIDDEN]' : 'empty'}`);
+
+    const user = await User.findOne({ username: username.toLowerCase() });
+    if (!user || !user.active || !(await user.comparePassword(password))) {
+      console.log('Login failed - invalid credentials');
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({ user, ...(await issueTokens(user)) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is rotated out)
+router.post('/refresh', validate(refreshSchema), async (req, res) => {
+  try {
+    // Rotated out before anything else, so two requests with the same token can't both succeed
+    const stored = await consumeRefreshToken(req.body.refreshToken);
+    if (!stored) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account disabled or removed' });
+    }
+
+    res.json({ user, ...(await issueTokens(user)) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post('/logout', validate(logoutSchema), async (req, res) => {
+  try {
+    await consumeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Current user
+router.get('/me', auth, (req, res) => {
+  res.json({ ...req.user.toJSON(), permissions: getPermissions(req.user.role) });
+});
+
+// Change own password (signs out every other session)
+router.post('/change-password', auth, validate(changePasswordSchema), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!(await req.user.comparePassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    req.user.password = newPassword;
+    req.user.tokenVersion += 1;
+    await req.user.save();
+    await revokeRefreshTokens(req.user._id);
+
+    res.json({ message: 'Password changed', ...(await issueTokens(req.user)) });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
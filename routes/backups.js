@@ -0,0 +1,68 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { runJob } = require('../utils/jobRuns');
+const { COLLECTIONS, createBackup, listBackups, getBackupFile, restoreBackup } = require('../utils/backups');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const restoreSchema = {
+  collections: v.array(v.oneOf(Object.keys(COLLECTIONS)), { min: 1 }),
+  dryRun: v.boolean()
+};
+
+// Get backups, newest first
+router.get('/', auth, permit('backups:run'), async (req, res) => {
+  try {
+    res.json(await listBackups());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Take a backup now
+router.post('/', auth, permit('backups:run'), async (req, res) => {
+  try {
+    const run = await runJob('backup', () => createBackup());
+    res.status(201).json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Download a backup (gzipped Extended JSON)
+router.get('/:name', auth, permit('backups:run'), async (req, res) => {
+  try {
+    const file = await getBackupFile(req.params.name);
+    if (!file) {
+      return res.status(404).json({ message: 'Backup not found' });
+    }
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${req.params.name}"`
+    });
+    if (file.size) res.set('Content-Length', String(file.size));
+    file.body.on('error', (error) => res.destroy(error));
+    file.body.pipe(res);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Restore from a backup (body: { collections?: [...], dryRun?: true }).
+// Defaults to a dry run that only reports the diff; send dryRun: false to apply it.
+router.post('/:name/restore', auth, permit('backups:run'), validate(restoreSchema), async (req, res) => {
+  try {
+    const result = await restoreBackup(req.params.name, {
+      collections: req.body.collections,
+      dryRun: req.body.dryRun !== false
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,132 +1,208 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Client = require('../models/Client');
 const Attendance = require('../models/Attendance');
+const auth = require('../middleware/auth');
+const photoUpload = require('../middleware/photoUpload');
+const permit = require('../middleware/permit');
+const deviceOrStaff = require('../middleware/deviceOrStaff');
+const validate = require('../middleware/validate');
+const clientAccess = require('../middleware/clientAccess');
+const { clientFilter } = require('../utils/clientScope');
+const { photoUrl, savePhoto, sendPhoto } = require('../utils/photos');
+const { getSettings } = require('../utils/settings');
+const { getMembershipStatus, membershipFields } = require('../utils/membership');
+const { timeIn, timeOut } = require('../utils/attendance');
+const { verifyMemberToken } = require('../utils/tokens');
+const closeStaleSessions = require('../jobs/closeStaleSessions');
+const { getDayRange } = require('../utils/time');
+const { audit } = require('../utils/audit');
+const { listClients, pagingHeaders, searchClients } = require('../utils/clientListing');
+const v = require('../utils/validation');
 
-// Check if running on Vercel
-const isVercel = process.env.VERCEL === '1';
-
-// Multer configuration for Vercel compatibility
-let storage;
-
-if (isVercel) {
-  // For Vercel: Use memory storage (files stored in memory)
-  storage = multer.memoryStorage();
-} else {
-  // For local development: Use disk storage
-  storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      const uploadsDir = path.join(__dirname, '../uploads/');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-      cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, 'client-' + uniqueSuffix + path.extname(file.originalname));
-    }
-  });
-}
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = /jpeg|jpg|png|gif|avif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only images (jpeg, jpg, png, gif, avif) are allowed!'));
-    }
-  }
+const checkinSchema = { token: v.string({ required: true, max: 1000 }) };
+
+// A second scan this soon after the last one is a double scan, not a time-out/time-in
+const SCAN_DEBOUNCE_MS = 60 * 1000;
+
+// Kiosk devices see every client; staff logins are limited by their role
+const scopeFor = (req) => (req.device ? {} : clientFilter(req.user));
+
+// Photo links work without a login, so only staff and kiosks with the photo
+// scope get them; other devices see null, as for clients without a photo
+const photoUrlFor = (req, client, size) => (
+  !req.device || req.device.scopes.includes('photo') ? photoUrl(client, size) : null
+);
+
+// Audit entries for opening and closing a session
+const auditTimeIn = (req, attendance) => audit(req, {
+  action: 'attendance.timein',
+  entity: 'Attendance',
+  entityId: attendance._id,
+  client: attendance.client,
+  after: attendance
+});
+
+const auditTimeOut = (req, attendance) => audit(req, {
+  action: 'attendance.timeout',
+  entity: 'Attendance',
+  entityId: attendance._id,
+  client: attendance.client,
+  before: { ...attendance.toObject(), timeOut: null },
+  after: attendance
 });
 
-// Get all clients with photoUrl
-router.get('/all', async (req, res) => {
+// Get clients with photoUrl, one page at a time (same query options as GET /api/clients)
+router.get('/all', deviceOrStaff('search', 'clients:read'), async (req, res) => {
   try {
-    console.log('Fetching all clients...');
-    const clients = await Client.find().populate('trainer');
-    console.log('Clients found:', clients.length);
+    const settings = await getSettings();
+    const { clients, ...paging } = await listClients(scopeFor(req), req.query, settings);
     
-    // Add photoUrl to each client
+    // Add photoUrl and membership status to each client
     const clientsWithPhotoUrl = clients.map(client => ({
       ...client._doc,
-      photoUrl: `/api/client/${client._id}/photo`
+      ...membershipFields(client, settings),
+      photoUrl: photoUrlFor(req, client),
+      thumbnailUrl: photoUrlFor(req, client, 'thumb')
     }));
     
-    res.json(clientsWithPhotoUrl);
+    res.set(pagingHeaders(paging)).json(clientsWithPhotoUrl);
   } catch (err) {
     console.error('Error fetching clients:', err);
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
 
-// Get client photo (public)
-router.get('/:id/photo', async (req, res) => {
+// Get client photo (for <img> tags use the signed photoUrl instead)
+router.get('/:id/photo', deviceOrStaff('photo', 'clients:read'), clientAccess, async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
-    
-    if (!client || !client.photo || !client.photo.data) {
-      // Return a default image or 404
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    
-    // Convert base64 to buffer and send as image
-    const imgBuffer = Buffer.from(client.photo.data, 'base64');
-    
-    // Set proper headers
-    res.set('Content-Type', client.photo.contentType || 'image/jpeg');
-    res.set('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
-    
-    res.send(imgBuffer);
-    
+    await sendPhoto(req, res, client);
   } catch (error) {
     console.error('Error serving photo:', error);
     res.status(500).json({ error: 'Failed to serve photo' });
   }
 });
 
-// Search clients by name
-router.get('/search', async (req, res) => {
+// Search clients by name, phone or address (?q=, or ?name= for older kiosks; ?limit= up to 50)
+router.get('/search', deviceOrStaff('search', 'clients:read'), async (req, res) => {
   try {
-    const { name } = req.query;
-    const clients = await Client.find({ name: new RegExp(name, 'i') });
+    const text = req.query.q !== undefined ? req.query.q : req.query.name;
+    if (typeof text !== 'string') {
+      return res.status(400).json({ message: 'Search text (q) is required' });
+    }
+    const clients = await searchClients(scopeFor(req), text, { limit: req.query.limit });
+    
+    const settings = await getSettings();
     
-    // Add photoUrl to each client
+    // Add photoUrl and membership status to each client
     const clientsWithPhotoUrl = clients.map(client => ({
       ...client._doc,
-      photoUrl: `/api/client/${client._id}/photo`
+      ...membershipFields(client, settings),
+      photoUrl: photoUrlFor(req, client),
+      thumbnailUrl: photoUrlFor(req, client, 'thumb')
     }));
     
     res.json(clientsWithPhotoUrl);
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Scan a member card: times the member in, or out if they are already in. A repeat
+// scan within SCAN_DEBOUNCE_MS answers with the last action (repeated: true) instead
+router.post('/checkin', deviceOrStaff('checkin', 'attendance:checkin'), validate(checkinSchema), async (req, res) => {
+  try {
+    let card;
+    try {
+      card = verifyMemberToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Invalid member card' });
+    }
+
+    const client = await Client.findOne({ _id: card.clientId, ...scopeFor(req) }).select('-photo.data');
+    if (!client) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if ((client.cardVersion || 0) !== card.cardVersion) {
+      return res.status(401).json({ message: 'This card has been replaced, please use the new card' });
+    }
+
+    const member = {
+      id: client._id,
+      name: client.name,
+      photoUrl: photoUrlFor(req, client)
+    };
+
+    // A session left open since yesterday gets closed, not toggled out now
+    await closeStaleSessions({ client: client._id });
+
+    // Repeat the last action's answer instead of flipping the member's state
+    const since = new Date(Date.now() - SCAN_DEBOUNCE_MS);
+    const recent = await Attendance.findOne({
+      client: client._id,
+      $or: [{ timeOut: null, timeIn: { $gte: since } }, { timeOut: { $gte: since } }]
+    }).sort({ updatedAt: -1 });
+    if (recent) {
+      const membership = getMembershipStatus(client, await getSettings());
+      return res.json({
+        action: recent.timeOut ? 'timeout' : 'timein',
+        repeated: true,
+        member,
+        membership,
+        attendance: recent
+      });
+    }
+
+    const closed = await timeOut(client._id);
+    if (closed) {
+      await auditTimeOut(req, closed);
+      const membership = getMembershipStatus(client, await getSettings());
+      return res.json({ action: 'timeout', member, membership, attendance: closed });
+    }
+
+    const result = await timeIn(client);
+    if (result.blocked) {
+      return res.status(403).json({ message: result.blocked, member, membership: result.membership });
+    }
+    if (!result.alreadyCheckedIn) await auditTimeIn(req, result.attendance);
+    res.json({
+      action: 'timein',
+      member,
+      membership: result.membership,
+      warning: result.warning,
+      attendance: result.attendance
+    });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
   }
 });
 
 // Time in
-router.post('/:id/timein', async (req, res) => {
+router.post('/:id/timein', deviceOrStaff('checkin', 'attendance:checkin'), clientAccess, async (req, res) => {
   try {
-    const attendance = new Attendance({ client: req.params.id, timeIn: new Date() });
-    await attendance.save();
-    res.json(attendance);
+    const client = await Client.findById(req.params.id).select('-photo.data');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const result = await timeIn(client);
+    if (result.blocked) {
+      return res.status(403).json({ message: result.blocked, membership: result.membership });
+    }
+
+    const { attendance, membership, warning, alreadyCheckedIn } = result;
+    if (!alreadyCheckedIn) await auditTimeIn(req, attendance);
+    res.json({ ...attendance.toJSON(), membership, warning, alreadyCheckedIn });
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
 // Get active attendance for client
-router.get('/:id/attendance', async (req, res) => {
+router.get('/:id/attendance', deviceOrStaff('checkin', 'attendance:read'), clientAccess, async (req, res) => {
   try {
+    await closeStaleSessions({ client: req.params.id });
     const attendance = await Attendance.findOne({ client: req.params.id, timeOut: null });
     res.json(attendance);
   } catch (err) {
@@ -135,7 +211,7 @@ router.get('/:id/attendance', async (req, res) => {
 });
 
 // Get all attendances for client
-router.get('/:id/attendances', async (req, res) => {
+router.get('/:id/attendances', auth, permit('attendance:read'), clientAccess, async (req, res) => {
   try {
     const attendances = await Attendance.find({ client: req.params.id }).sort({ createdAt: -1 });
     res.json(attendances);
@@ -145,16 +221,23 @@ router.get('/:id/attendances', async (req, res) => {
 });
 
 // Delete today's attendances for client
-router.delete('/:id/attendances/today', async (req, res) => {
+router.delete('/:id/attendances/today', auth, permit('attendance:delete'), clientAccess, async (req, res) => {
   try {
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-    await Attendance.deleteMany({
+    // "Today" is the gym's local day, not the UTC one
+    const { timezone } = await getSettings();
+    const { start, end } = getDayRange(new Date(), timezone);
+    const attendances = await Attendance.find({
       client: req.params.id,
-      date: { $gte: today, $lt: tomorrow }
+      date: { $gte: start, $lt: end }
     });
+    await Attendance.deleteMany({ _id: { $in: attendances.map(attendance => attendance._id) } });
+    await audit(req, attendances.map(attendance => ({
+      action: 'attendance.delete_today',
+      entity: 'Attendance',
+      entityId: attendance._id,
+      client: attendance.client,
+      before: attendance
+    })));
     res.json({ message: 'Today\'s attendances deleted' });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -162,21 +245,21 @@ router.delete('/:id/attendances/today', async (req, res) => {
 });
 
 // Time out
-router.put('/:id/timeout', async (req, res) => {
+router.put('/:id/timeout', deviceOrStaff('checkin', 'attendance:checkin'), clientAccess, async (req, res) => {
   try {
-    const attendance = await Attendance.findOneAndUpdate(
-      { client: req.params.id, timeOut: null },
-      { timeOut: new Date() },
-      { new: true }
-    );
+    const attendance = await timeOut(req.params.id);
+    if (!attendance) {
+      return res.status(409).json({ message: 'No open session to time out' });
+    }
+    await auditTimeOut(req, attendance);
     res.json(attendance);
   } catch (err) {
     res.status(400).json({ message: err.message });
   }
 });
 
-// Upload photo for client (public route)
-router.post('/:id/photo', upload.single('photo'), async (req, res) => {
+// Upload photo for client
+router.post('/:id/photo', auth, permit('clients:photo'), clientAccess, photoUpload.single('photo'), async (req, res) => {
   try {
     const clientId = req.params.id;
     const client = await Client.findById(clientId);
@@ -189,27 +272,9 @@ router.post('/:id/photo', upload.single('photo'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    // Handle Vercel vs local differently
-    if (isVercel) {
-      // Vercel: Store as Base64 in MongoDB
-      client.photo = {
-        data: req.file.buffer.toString('base64'),
-        contentType: req.file.mimetype,
-        uploadedAt: new Date()
-      };
-    } else {
-      // Local development: Store file path
-      // Remove old photo if exists
-      if (client.photo && client.photo.startsWith('/uploads/')) {
-        const oldPhotoPath = path.join(__dirname, '..', client.photo);
-        if (fs.existsSync(oldPhotoPath)) {
-          fs.unlinkSync(oldPhotoPath);
-        }
-      }
-      client.photo = `/uploads/${req.file.filename}`;
-    }
-    
-    await client.save();
+    const before = client.toObject();
+    await savePhoto(client, req.file);
+    await audit(req, { action: 'client.photo', entity: 'Client', entityId: client._id, client: client._id, before, after: client });
     
     res.json({
       success: true,
@@ -218,13 +283,13 @@ router.post('/:id/photo', upload.single('photo'), async (req, res) => {
         id: client._id,
         name: client.name,
         hasPhoto: true,
-        photoUrl: `/api/client/${client._id}/photo`
+        photoUrl: photoUrl(client)
       }
     });
     
   } catch (error) {
     console.error('Error uploading photo:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to upload photo',
       message: error.message 
     });
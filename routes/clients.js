@@ -1,74 +1,77 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Client = require('../models/Client');
+const Plan = require('../models/Plan');
+const Freeze = require('../models/Freeze');
+const Attendance = require('../models/Attendance');
 const auth = require('../middleware/auth');
+const photoUpload = require('../middleware/photoUpload');
+const csvUpload = require('../middleware/csvUpload');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const clientAccess = require('../middleware/clientAccess');
+const { clientFilter } = require('../utils/clientScope');
+const { photoUrl, savePhoto, sendPhoto } = require('../utils/photos');
+const { getSettings } = require('../utils/settings');
+const { getMembershipStatus, membershipFields } = require('../utils/membership');
+const { daysUntil } = require('../utils/billing');
+const { DAY_MS, gymToday, parseCalendarDate } = require('../utils/time');
+const { getCurrentPeriodStart, getFrozenDays, syncClientDueDate } = require('../utils/ledger');
+const { parseClientCsv, validateClientRows } = require('../utils/clientImport');
+const { signMemberToken } = require('../utils/tokens');
+const { listClients, pagingHeaders } = require('../utils/clientListing');
+const { audit } = require('../utils/audit');
+const QRCode = require('qrcode');
+const v = require('../utils/validation');
+const { clientFields, createClientSchema } = require('../utils/clientFields');
 
-// Check if running on Vercel
-const isVercel = process.env.VERCEL === '1';
-
-// Multer configuration for Vercel compatibility
-let storage;
-
-if (isVercel) {
-  // For Vercel: Use memory storage (files stored in memory)
-  storage = multer.memoryStorage();
-} else {
-  // For local development: Use disk storage
-  storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      const uploadsDir = path.join(__dirname, '../uploads/');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-      cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, 'client-' + uniqueSuffix + path.extname(file.originalname));
-    }
-  });
-}
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = /jpeg|jpg|png|gif|avif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only images (jpeg, jpg, png, gif, avif) are allowed!'));
-    }
-  }
-});
+const freezeSchema = {
+  start: v.calendarDate(),
+  end: v.calendarDate({ required: true }),
+  reason: v.string({ max: 300 })
+};
 
-// Get all clients
-router.get('/', auth, async (req, res) => {
+// Get clients, one page at a time (see utils/clientListing.js for paging, sorting and
+// filters); the total and page count are in the X-Total-Count / X-Total-Pages headers
+router.get('/', auth, permit('clients:read'), async (req, res) => {
   try {
-    const clients = await Client.find().populate('trainer');
+    const settings = await getSettings();
+    const { clients, ...paging } = await listClients(clientFilter(req.user), req.query, settings);
     
-    // Add photoUrl to each client
+    // Add photoUrl and membership status to each client
     const clientsWithPhotoUrl = clients.map(client => ({
       ...client._doc,
-      photoUrl: `/api/clients/${client._id}/photo`
+      ...membershipFields(client, settings),
+      photoUrl: photoUrl(client),
+      thumbnailUrl: photoUrl(client, 'thumb')
     }));
     
-    res.json(clientsWithPhotoUrl);
+    res.set(pagingHeaders(paging)).json(clientsWithPhotoUrl);
+  } catch (err) {
+    res.status(err.status || 500).json({ message: err.message });
+  }
+});
+
+// Recycle bin: deleted clients that can still be restored, with their purge date
+router.get('/deleted', auth, permit('clients:delete'), async (req, res) => {
+  try {
+    const { recycleBinDays } = await getSettings();
+    const clients = await Client.find({ ...clientFilter(req.user), deletedAt: { $ne: null } })
+      .select('-photo.data')
+      .populate('deletedBy', 'username name')
+      .sort({ deletedAt: -1 });
+
+    res.json(clients.map(client => ({
+      ...client._doc,
+      purgeAt: new Date(client.deletedAt.getTime() + recycleBinDays * DAY_MS)
+    })));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // Get single client with photoUrl
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, permit('clients:read'), clientAccess, async (req, res) => {
   try {
     const client = await Client.findById(req.params.id).populate('trainer');
     if (!client) {
@@ -77,7 +80,8 @@ router.get('/:id', auth, async (req, res) => {
     
     const clientWithPhotoUrl = {
       ...client._doc,
-      photoUrl: `/api/clients/${client._id}/photo`
+      ...membershipFields(client, await getSettings()),
+      photoUrl: photoUrl(client)
     };
     
     res.json(clientWithPhotoUrl);
@@ -86,24 +90,11 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Get client photo
-router.get('/:id/photo', async (req, res) => {
+// Get client photo (for <img> tags use the signed photoUrl instead)
+router.get('/:id/photo', auth, permit('clients:read'), clientAccess, async (req, res) => {
   try {
     const client = await Client.findById(req.params.id);
-    
-    if (!client || !client.photo || !client.photo.data) {
-      return res.status(404).json({ error: 'Photo not found' });
-    }
-    
-    // Convert base64 to buffer and send as image
-    const imgBuffer = Buffer.from(client.photo.data, 'base64');
-    
-    // Set proper headers
-    res.set('Content-Type', client.photo.contentType || 'image/jpeg');
-    res.set('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
-    
-    res.send(imgBuffer);
-    
+    await sendPhoto(req, res, client);
   } catch (error) {
     console.error('Error serving photo:', error);
     res.status(500).json({ error: 'Failed to serve photo' });
@@ -111,14 +102,15 @@ router.get('/:id/photo', async (req, res) => {
 });
 
 // Add client
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, permit('clients:create'), validate(createClientSchema), async (req, res) => {
   try {
     const client = new Client(req.body);
     await client.save();
+    await audit(req, { action: 'client.create', entity: 'Client', entityId: client._id, client: client._id, after: client });
     
     const clientWithPhotoUrl = {
       ...client._doc,
-      photoUrl: `/api/clients/${client._id}/photo`
+      photoUrl: photoUrl(client)
     };
     
     res.json(clientWithPhotoUrl);
@@ -127,8 +119,71 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// Bulk import clients from CSV (?dryRun=true only validates; ?skipInvalid=true imports the valid rows).
+// Rows are reported by file line; rows that fail to save are listed in `failed`
+router.post('/import', auth, permit('clients:create'), csvUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No CSV file uploaded' });
+    }
+
+    let rows;
+    try {
+      rows = parseClientCsv(req.file.buffer);
+    } catch (parseError) {
+      return res.status(400).json({ message: `Could not read CSV: ${parseError.message}` });
+    }
+
+    const { timezone } = await getSettings();
+    const results = await validateClientRows(rows, timezone);
+    const invalid = results.filter(result => result.errors.length > 0);
+    const valid = results.filter(result => result.errors.length === 0);
+    const summary = {
+      total: results.length,
+      valid: valid.length,
+      invalid: invalid.length,
+      errors: invalid.map(({ row, errors }) => ({ row, errors }))
+    };
+
+    if (req.query.dryRun === 'true') {
+      return res.json({ dryRun: true, ...summary });
+    }
+    if (invalid.length > 0 && req.query.skipInvalid !== 'true') {
+      return res.status(422).json({ message: 'CSV has invalid rows, nothing was imported', ...summary });
+    }
+
+    // One row at a time through create() so the Client save hooks run, and so a
+    // failure part-way still reports exactly which rows went in
+    const created = [];
+    const failed = [];
+    for (const { row, data } of valid) {
+      try {
+        created.push({ row, client: await Client.create(data) });
+      } catch (createError) {
+        failed.push({ row, errors: [createError.message] });
+      }
+    }
+    await audit(req, created.map(({ client }) => ({
+      action: 'client.import',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      after: client
+    })));
+    res.status(created.length > 0 || failed.length === 0 ? 201 : 500).json({
+      dryRun: false,
+      imported: created.length,
+      importedRows: created.map(({ row }) => row),
+      failed,
+      ...summary
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Upload photo for client (with auth)
-router.post('/:id/photo', auth, upload.single('photo'), async (req, res) => {
+router.post('/:id/photo', auth, permit('clients:photo'), clientAccess, photoUpload.single('photo'), async (req, res) => {
   try {
     const clientId = req.params.id;
     const client = await Client.findById(clientId);
@@ -141,27 +196,9 @@ router.post('/:id/photo', auth, upload.single('photo'), async (req, res) => {
       return res.status(400).json({ error: 'No photo uploaded' });
     }
     
-    // Handle Vercel vs local differently
-    if (isVercel) {
-      // Vercel: Store as Base64 in MongoDB
-      client.photo = {
-        data: req.file.buffer.toString('base64'),
-        contentType: req.file.mimetype,
-        uploadedAt: new Date()
-      };
-    } else {
-      // Local development: Store file path
-      // Remove old photo if exists
-      if (client.photo && client.photo.startsWith('/uploads/')) {
-        const oldPhotoPath = path.join(__dirname, '..', client.photo);
-        if (fs.existsSync(oldPhotoPath)) {
-          fs.unlinkSync(oldPhotoPath);
-        }
-      }
-      client.photo = `/uploads/${req.file.filename}`;
-    }
-    
-    await client.save();
+    const before = client.toObject();
+    await savePhoto(client, req.file);
+    await audit(req, { action: 'client.photo', entity: 'Client', entityId: client._id, client: client._id, before, after: client });
     
     res.json({
       success: true,
@@ -170,27 +207,203 @@ router.post('/:id/photo', auth, upload.single('photo'), async (req, res) => {
         id: client._id,
         name: client.name,
         hasPhoto: true,
-        photoUrl: `/api/clients/${client._id}/photo`
+        photoUrl: photoUrl(client)
       }
     });
     
   } catch (error) {
     console.error('Error uploading photo:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to upload photo',
       message: error.message 
     });
   }
 });
 
+// Get member card QR code (?format=png|svg) encoding the client's signed card token
+router.get('/:id/card', auth, permit('clients:read'), clientAccess, async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).select('cardVersion');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const token = signMemberToken(client);
+    res.set('Cache-Control', 'no-store');
+    if (req.query.format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(token, { type: 'svg', margin: 1 }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(token, { width: 400, margin: 1 }));
+    }
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Reissue member card: every previously printed QR code stops working
+router.post('/:id/card/reissue', auth, permit('clients:update'), clientAccess, async (req, res) => {
+  try {
+    const client = await Client.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { cardVersion: 1 } },
+      { new: true }
+    ).select('cardVersion');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+    await audit(req, {
+      action: 'client.card_reissue',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      before: { cardVersion: client.cardVersion - 1 },
+      after: { cardVersion: client.cardVersion }
+    });
+    res.json({
+      message: 'Member card reissued',
+      cardVersion: client.cardVersion,
+      cardUrl: `/api/clients/${client._id}/card`
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Get freeze history for client
+router.get('/:id/freezes', auth, permit('clients:read'), clientAccess, async (req, res) => {
+  try {
+    const freezes = await Freeze.find({ client: req.params.id })
+      .populate('createdBy', 'username name')
+      .sort({ start: -1 });
+    res.json(freezes);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Freeze a membership for a date range; the due date moves forward by the frozen days
+router.post('/:id/freeze', auth, permit('clients:freeze'), clientAccess, validate(freezeSchema), async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.id).select('-photo.data');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const settings = await getSettings();
+    const today = gymToday(settings.timezone);
+    const start = req.body.start ? parseCalendarDate(req.body.start, settings.timezone) : today;
+    const end = parseCalendarDate(req.body.end, settings.timezone);
+    const days = daysUntil(end, start);
+    if (isNaN(days) || days <= 0) {
+      return res.status(400).json({ message: 'Freeze end must be after its start' });
+    }
+    const before = client.toObject();
+
+    if (client.freeze && client.freeze.end > today) {
+      return res.status(409).json({ message: 'Client already has an active or upcoming freeze' });
+    }
+
+    const membership = getMembershipStatus(client, settings);
+    if (membership.status === 'expired') {
+      return res.status(400).json({ message: 'Cannot freeze an expired membership' });
+    }
+
+    // Freeze allowance is per paid period and comes from the client's plan
+    const plan = client.plan ? await Plan.findById(client.plan) : null;
+    if (!plan) {
+      return res.status(400).json({ message: 'Client has no membership plan to freeze' });
+    }
+    const usedDays = await getFrozenDays(client._id, await getCurrentPeriodStart(client));
+    if (usedDays + days > plan.maxFreezeDays) {
+      return res.status(400).json({
+        message: `Freeze allowance exceeded: ${plan.maxFreezeDays - usedDays} of ${plan.maxFreezeDays} days left`,
+        allowance: plan.maxFreezeDays,
+        used: usedDays
+      });
+    }
+
+    const freeze = await Freeze.create({
+      client: client._id,
+      start,
+      end,
+      days,
+      reason: req.body.reason,
+      createdBy: req.user._id
+    });
+
+    client.freeze = { start, end, reason: freeze.reason };
+    await client.save();
+    const updated = await syncClientDueDate(client._id);
+    await audit(req, {
+      action: 'client.freeze',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      before,
+      after: updated,
+      details: { freeze: freeze._id, days }
+    });
+
+    res.status(201).json({ freeze, nextDueDate: updated.nextDueDate });
+  } catch (err) {
+    res.status(400).json({ message: err.message });
+  }
+});
+
+// End the current freeze early (or cancel one that hasn't started); unused days are given back
+router.delete('/:id/freeze', auth, permit('clients:freeze'), clientAccess, async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const today = gymToday(timezone);
+    const freeze = await Freeze.findOne({
+      client: req.params.id,
+      cancelledAt: null,
+      end: { $gt: today }
+    }).sort({ start: -1 });
+    if (!freeze) {
+      return res.status(404).json({ message: 'No active or upcoming freeze' });
+    }
+
+    if (freeze.start < today) {
+      freeze.end = today;
+      freeze.days = daysUntil(today, freeze.start);
+    } else {
+      freeze.days = 0;
+    }
+    freeze.cancelledAt = new Date();
+    await freeze.save();
+
+    const before = await Client.findByIdAndUpdate(req.params.id, { $unset: { freeze: 1 } }).select('-photo.data');
+    const updated = await syncClientDueDate(req.params.id);
+    await audit(req, {
+      action: 'client.unfreeze',
+      entity: 'Client',
+      entityId: freeze.client,
+      client: freeze.client,
+      before,
+      after: updated,
+      details: { freeze: freeze._id, days: freeze.days }
+    });
+
+    res.json({ freeze, nextDueDate: updated.nextDueDate });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Update client
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', auth, permit('clients:update'), clientAccess, validate(clientFields, { partial: true }), async (req, res) => {
   try {
+    const before = await Client.findById(req.params.id).select('-photo.data');
+    if (!before) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
     const client = await Client.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    await audit(req, { action: 'client.update', entity: 'Client', entityId: client._id, client: client._id, before, after: client });
     
     const clientWithPhotoUrl = {
       ...client._doc,
-      photoUrl: `/api/clients/${client._id}/photo`
+      photoUrl: photoUrl(client)
     };
     
     res.json(clientWithPhotoUrl);
@@ -199,11 +412,74 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete client
-router.delete('/:id', auth, async (req, res) => {
+// Delete client: moves them to the recycle bin, purged after settings.recycleBinDays
+router.delete('/:id', auth, permit('clients:delete'), clientAccess, async (req, res) => {
   try {
-    await Client.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Client deleted' });
+    const deletedAt = new Date();
+    const client = await Client.findByIdAndUpdate(
+      req.params.id,
+      { deletedAt, deletedBy: req.user._id },
+      { new: true }
+    ).select('-photo.data');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    // A deleted member can't still be in the gym
+    const sessions = await Attendance.updateMany(
+      { client: client._id, timeOut: null },
+      { timeOut: deletedAt, autoClosed: true, closeReason: 'client_deleted' }
+    );
+    await audit(req, {
+      action: 'client.delete',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      before: { deletedAt: null },
+      after: { deletedAt },
+      details: { sessionsClosed: sessions.modifiedCount }
+    });
+
+    const { recycleBinDays } = await getSettings();
+    res.json({
+      message: 'Client moved to the recycle bin',
+      purgeAt: new Date(deletedAt.getTime() + recycleBinDays * DAY_MS)
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Restore a client from the recycle bin
+router.post('/:id/restore', auth, permit('clients:delete'), async (req, res) => {
+  try {
+    const before = await Client.findOne({ _id: req.params.id, ...clientFilter(req.user), deletedAt: { $ne: null } })
+      .select('deletedAt');
+    if (!before) {
+      return res.status(404).json({ message: 'Client is not in the recycle bin' });
+    }
+
+    const client = await Client.findOneAndUpdate(
+      { _id: before._id, deletedAt: { $ne: null } },
+      { deletedAt: null, $unset: { deletedBy: 1 } },
+      { new: true }
+    ).select('-photo.data');
+    if (!client) {
+      return res.status(404).json({ message: 'Client is not in the recycle bin' });
+    }
+    await audit(req, {
+      action: 'client.restore',
+      entity: 'Client',
+      entityId: client._id,
+      client: client._id,
+      before: { deletedAt: before.deletedAt },
+      after: { deletedAt: null }
+    });
+
+    res.json({
+      ...client._doc,
+      photoUrl: photoUrl(client)
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
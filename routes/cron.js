@@ -0,0 +1,35 @@
+const express = require('express');
+const JobRun = require('../models/JobRun');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const cronAuth = require('../middleware/cronAuth');
+const { isJob, runNamedJob } = require('../jobs');
+
+const router = express.Router();
+
+// Get job run history (?job= to filter), newest first
+router.get('/runs', auth, permit('jobs:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.job) query.job = req.query.job;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json(await JobRun.find(query).sort({ startedAt: -1 }).limit(limit));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Run a scheduled job (called by Vercel Cron, see vercel.json)
+router.get('/:job', cronAuth, async (req, res) => {
+  if (!isJob(req.params.job)) {
+    return res.status(404).json({ message: 'Unknown job' });
+  }
+  try {
+    res.json(await runNamedJob(req.params.job, 'vercel'));
+  } catch (error) {
+    console.error(`Error running ${req.params.job} job:`, error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { hashToken } = require('../utils/tokens');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const deviceSchema = {
+  name: v.string({ required: true, max: 100 }),
+  scopes: v.array(v.oneOf(Device.SCOPES), { min: 1, max: Device.SCOPES.length })
+};
+
+// Get all kiosk devices with when each was last seen
+router.get('/', auth, permit('devices:manage'), async (req, res) => {
+  try {
+    const devices = await Device.find()
+      .populate('createdBy', 'username name')
+      .sort({ createdAt: -1 });
+    res.json(devices);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Register a kiosk device; the token is only shown in this response
+router.post('/', auth, permit('devices:manage'), validate(deviceSchema), async (req, res) => {
+  try {
+    const token = `dev_${crypto.randomBytes(32).toString('hex')}`;
+    const device = new Device({
+      name: req.body.name,
+      scopes: req.body.scopes,
+      tokenHash: hashToken(token),
+      createdBy: req.user._id
+    });
+    const newDevice = await device.save();
+    res.status(201).json({ device: newDevice, token });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Revoke a device: its token stops working immediately
+router.delete('/:id', auth, permit('devices:manage'), async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found or already revoked' });
+    }
+    res.json({ message: 'Device revoked', device });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
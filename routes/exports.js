@@ -0,0 +1,186 @@
+const express = require('express');
+const Client = require('../models/Client');
+const Attendance = require('../models/Attendance');
+const Payment = require('../models/Payment');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { clientFilter } = require('../utils/clientScope');
+const { getSettings } = require('../utils/settings');
+const { getNextDueDate } = require('../utils/billing');
+const { getMembershipStatus } = require('../utils/membership');
+const { FORMATS, streamExport } = require('../utils/exporter');
+const { parseDateRange } = require('../utils/time');
+
+const router = express.Router();
+
+// Validate ?format= and build a ?from=&to= filter (gym-local days) on the given date field
+const parseExportQuery = (req, dateField, timezone) => {
+  const format = req.query.format || 'csv';
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of: ${FORMATS.join(', ')}` };
+  }
+
+  const query = {};
+  try {
+    const range = parseDateRange(req.query.from, req.query.to, timezone);
+    if (range) query[dateField] = range;
+  } catch (error) {
+    return { error: error.message };
+  }
+  return { format, query };
+};
+
+const stamp = () => new Date().toISOString().slice(0, 10);
+
+// Export clients with trainer name and due date (never the photo blob)
+router.get('/clients', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const { format, error } = parseExportQuery(req);
+    if (error) return res.status(400).json({ message: error });
+
+    const cursor = Client.find(clientFilter(req.user))
+      .select('-photo')
+      .populate('trainer', 'name')
+      .populate('plan', 'name')
+      .sort({ name: 1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: `clients-${stamp()}`,
+      sheetName: 'Clients',
+      columns: [
+        { header: 'Name', key: 'name', width: 25 },
+        { header: 'Phone', key: 'phone' },
+        { header: 'Address', key: 'address', width: 35 },
+        { header: 'Trainer', key: 'trainer' },
+        { header: 'Plan', key: 'plan' },
+        { header: 'Due Date', key: 'dueDate' },
+        { header: 'Status', key: 'status' },
+        { header: 'Joined', key: 'joined' }
+      ],
+      cursor,
+      toRow: (client) => ({
+        name: client.name,
+        phone: client.phone,
+        address: client.address,
+        trainer: client.trainer?.name || '',
+        plan: client.plan?.name || '',
+        dueDate: getNextDueDate(client),
+        status: getMembershipStatus(client, settings).status,
+        joined: client.createdAt
+      })
+    });
+  } catch (error) {
+    console.error('Error exporting clients:', error);
+    if (!res.headersSent) res.status(500).json({ message: error.message });
+    else res.destroy(error);
+  }
+});
+
+// Export attendance for a date range (?from=&to= on time-in)
+router.get('/attendance', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const { format, query, error } = parseExportQuery(req, 'timeIn', timezone);
+    if (error) return res.status(400).json({ message: error });
+
+    const scope = clientFilter(req.user);
+    if (Object.keys(scope).length > 0) {
+      query.client = { $in: await Client.find(scope).distinct('_id') };
+    }
+
+    const cursor = Attendance.find(query)
+      .populate({ path: 'client', select: 'name phone trainer', populate: { path: 'trainer', select: 'name' } })
+      .sort({ timeIn: 1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: `attendance-${stamp()}`,
+      sheetName: 'Attendance',
+      columns: [
+        { header: 'Client', key: 'client', width: 25 },
+        { header: 'Phone', key: 'phone' },
+        { header: 'Trainer', key: 'trainer' },
+        { header: 'Time In', key: 'timeIn', width: 24 },
+        { header: 'Time Out', key: 'timeOut', width: 24 },
+        { header: 'Minutes', key: 'minutes', width: 10 },
+        { header: 'Auto Closed', key: 'autoClosed', width: 12 }
+      ],
+      cursor,
+      toRow: (attendance) => ({
+        client: attendance.client?.name || '(deleted client)',
+        phone: attendance.client?.phone || '',
+        trainer: attendance.client?.trainer?.name || '',
+        timeIn: attendance.timeIn,
+        timeOut: attendance.timeOut,
+        minutes: attendance.timeOut
+          ? Math.round((new Date(attendance.timeOut) - new Date(attendance.timeIn)) / 60000)
+          : '',
+        autoClosed: attendance.autoClosed ? 'yes' : ''
+      })
+    });
+  } catch (error) {
+    console.error('Error exporting attendance:', error);
+    if (!res.headersSent) res.status(500).json({ message: error.message });
+    else res.destroy(error);
+  }
+});
+
+// Export payments for a date range (?from=&to= on the payment date)
+router.get('/payments', auth, permit('financials:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const { format, query, error } = parseExportQuery(req, 'createdAt', timezone);
+    if (error) return res.status(400).json({ message: error });
+
+    const cursor = Payment.find(query)
+      .populate('client', 'name phone')
+      .populate('plan', 'name')
+      .populate('receivedBy', 'username')
+      .sort({ createdAt: 1 })
+      .lean()
+      .cursor();
+
+    await streamExport(res, {
+      format,
+      filename: `payments-${stamp()}`,
+      sheetName: 'Payments',
+      columns: [
+        { header: 'Date', key: 'date', width: 24 },
+        { header: 'Client', key: 'client', width: 25 },
+        { header: 'Phone', key: 'phone' },
+        { header: 'Plan', key: 'plan' },
+        { header: 'Amount', key: 'amount', width: 12 },
+        { header: 'Method', key: 'method', width: 14 },
+        { header: 'Period Start', key: 'periodStart' },
+        { header: 'Period End', key: 'periodEnd' },
+        { header: 'Received By', key: 'receivedBy' },
+        { header: 'Note', key: 'note', width: 30 }
+      ],
+      cursor,
+      toRow: (payment) => ({
+        date: payment.createdAt,
+        client: payment.client?.name || '(deleted client)',
+        phone: payment.client?.phone || '',
+        plan: payment.plan?.name || '',
+        amount: payment.amount,
+        method: payment.method,
+        periodStart: payment.periodStart,
+        periodEnd: payment.periodEnd,
+        receivedBy: payment.receivedBy?.username || '',
+        note: payment.note || ''
+      })
+    });
+  } catch (error) {
+    console.error('Error exporting payments:', error);
+    if (!res.headersSent) res.status(500).json({ message: error.message });
+    else res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const Client = require('../models/Client');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { claim, deliver } = require('../notifications');
+
+const router = express.Router();
+
+// Get delivery log (filter by ?client= and ?status=), newest first
+router.get('/', auth, permit('notifications:read'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.client) query.client = req.query.client;
+    if (req.query.status) query.status = req.query.status;
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const notifications = await Notification.find(query)
+      .populate('client', 'name phone')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(notifications);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Retry a failed message right away
+router.post('/:id/retry', auth, permit('notifications:send'), async (req, res) => {
+  try {
+    const existing = await Notification.findById(req.params.id).select('status client');
+    if (!existing) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    const client = await Client.findById(existing.client).select('-photo');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const notification = await claim({ _id: existing._id, status: { $in: ['retrying', 'failed'] } });
+    if (!notification) {
+      return res.status(409).json({ message: 'Notification was already sent or is being sent' });
+    }
+    res.json(await deliver(notification, client));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const Payment = require('../models/Payment');
+const Plan = require('../models/Plan');
+const Client = require('../models/Client');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { addPlanPeriod, getNextDueDate } = require('../utils/billing');
+const { syncClientDueDate } = require('../utils/ledger');
+const { getSettings } = require('../utils/settings');
+const { gymToday, parseCalendarDate, parseDateRange } = require('../utils/time');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const paymentSchema = {
+  client: v.objectId({ required: true }),
+  plan: v.objectId(),
+  amount: v.number({ min: 0 }),
+  method: v.oneOf(['cash', 'card', 'bank_transfer', 'online', 'other']),
+  periodStart: v.calendarDate(),
+  note: v.string({ max: 500 })
+};
+
+// Get payments (filter by ?client=, ?from=, ?to= on the payment date)
+router.get('/', auth, permit('financials:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const query = {};
+    if (req.query.client) query.client = req.query.client;
+    const range = parseDateRange(req.query.from, req.query.to, timezone);
+    if (range) query.createdAt = range;
+
+    const payments = await Payment.find(query)
+      .populate('client', 'name phone')
+      .populate('plan', 'name type')
+      .populate('receivedBy', 'username name')
+      .sort({ createdAt: -1 });
+
+    const total = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    res.json({ total, count: payments.length, payments });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Record a payment and extend the client's membership
+router.post('/', auth, permit('payments:create'), validate(paymentSchema), async (req, res) => {
+  try {
+    const client = await Client.findById(req.body.client);
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const plan = await Plan.findById(req.body.plan || client.plan);
+    if (!plan) {
+      return res.status(400).json({ message: 'A membership plan is required' });
+    }
+
+    // Paying on time continues from the current due date; after a lapse the
+    // new period starts today (unless the desk gives an explicit start)
+    const { timezone } = await getSettings();
+    const today = gymToday(timezone);
+    const currentDue = getNextDueDate(client);
+    let periodStart;
+    let anchorDay = client.billingDay;
+    if (req.body.periodStart) {
+      periodStart = parseCalendarDate(req.body.periodStart, timezone);
+      anchorDay = periodStart.getUTCDate();
+    } else if (currentDue && currentDue >= today) {
+      periodStart = currentDue;
+    } else {
+      periodStart = today;
+      anchorDay = today.getUTCDate();
+    }
+    const periodEnd = addPlanPeriod(periodStart, plan, anchorDay || periodStart.getUTCDate());
+
+    const payment = new Payment({
+      client: client._id,
+      plan: plan._id,
+      amount: req.body.amount ?? plan.price,
+      method: req.body.method,
+      periodStart,
+      periodEnd,
+      receivedBy: req.user._id,
+      note: req.body.note
+    });
+    await payment.save();
+
+    client.billingDay = anchorDay || periodStart.getUTCDate();
+    await client.save();
+    const updated = await syncClientDueDate(client._id);
+
+    res.status(201).json({ payment, nextDueDate: updated.nextDueDate });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Void a payment entered by mistake
+router.delete('/:id', auth, permit('payments:delete'), async (req, res) => {
+  try {
+    const payment = await Payment.findByIdAndDelete(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+    const client = await syncClientDueDate(payment.client);
+    res.json({ message: 'Payment deleted', nextDueDate: client?.nextDueDate || null });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
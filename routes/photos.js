@@ -0,0 +1,28 @@
+const express = require('express');
+const Client = require('../models/Client');
+const { photoVersion, verifyPhotoSignature, sendPhoto } = require('../utils/photos');
+
+const router = express.Router();
+
+// Get client photo by signed URL (see photoUrl in utils/photos.js)
+router.get('/:id', async (req, res) => {
+  try {
+    if (!verifyPhotoSignature(req.params.id, req.query.v, req.query.sig)) {
+      return res.status(403).json({ error: 'Invalid photo link' });
+    }
+
+    const client = await Client.findById(req.params.id).select('photo');
+    // Links to a replaced photo stop working; otherwise they would serve the
+    // new photo under the old URL, which browsers cache for good
+    if (client && String(photoVersion(client)) !== String(req.query.v)) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    // The URL changes whenever the photo does, so it can be cached for good
+    await sendPhoto(req, res, client, 'private, max-age=31536000, immutable');
+  } catch (error) {
+    console.error('Error serving photo:', error);
+    res.status(500).json({ error: 'Failed to serve photo' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const Plan = require('../models/Plan');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const planFields = {
+  name: v.string({ required: true, max: 100 }),
+  type: v.oneOf(['monthly', 'quarterly', 'yearly', 'custom']),
+  durationDays: v.number({ min: 1, max: 3660, integer: true }),
+  price: v.number({ required: true, min: 0 }),
+  maxFreezeDays: v.number({ min: 0, max: 365, integer: true })
+};
+const updatePlanSchema = { ...planFields, active: v.boolean() };
+
+// Get plans (?all=true includes retired ones)
+router.get('/', auth, permit('plans:read'), async (req, res) => {
+  try {
+    const query = req.query.all === 'true' ? {} : { active: true };
+    const plans = await Plan.find(query).sort({ price: 1 });
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Add new plan
+router.post('/', auth, permit('plans:manage'), validate(planFields), async (req, res) => {
+  try {
+    const { name, type, durationDays, price, maxFreezeDays } = req.body;
+    const plan = new Plan({ name, type, durationDays, price, maxFreezeDays });
+    const newPlan = await plan.save();
+    res.status(201).json(newPlan);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update plan (existing payments keep the period they were sold with)
+router.put('/:id', auth, permit('plans:manage'), validate(updatePlanSchema, { partial: true }), async (req, res) => {
+  try {
+    const { name, type, durationDays, price, maxFreezeDays, active } = req.body;
+    const plan = await Plan.findByIdAndUpdate(
+      req.params.id,
+      { name, type, durationDays, price, maxFreezeDays, active },
+      { new: true, runValidators: true }
+    );
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    res.json(plan);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Retire plan (payments still reference it, so it is never hard-deleted)
+router.delete('/:id', auth, permit('plans:manage'), async (req, res) => {
+  try {
+    const plan = await Plan.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+    if (!plan) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+    res.json({ message: 'Plan retired' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
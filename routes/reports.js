@@ -0,0 +1,233 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Client = require('../models/Client');
+const WinBack = require('../models/WinBack');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const { isScoped, clientFilter } = require('../utils/clientScope');
+const { getSettings } = require('../utils/settings');
+const { DAY_MS, parseDateRange } = require('../utils/time');
+const { findInactiveClients } = require('../utils/inactivity');
+
+const router = express.Router();
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Session length in ms; auto-closed sessions have no real time-out, so they are left out
+const SESSION_MS = {
+  $cond: [
+    { $and: [{ $ifNull: ['$timeOut', false] }, { $ne: ['$autoClosed', true] }] },
+    { $subtract: ['$timeOut', '$timeIn'] },
+    null
+  ]
+};
+
+// Build the $match stage shared by every attendance report from
+// ?from=&to= (check-in days in the gym's timezone) and ?trainer= (only that trainer's clients)
+const buildAttendanceMatch = async (req, timezone) => {
+  const match = {};
+
+  const range = parseDateRange(req.query.from, req.query.to, timezone);
+  if (range) match.timeIn = range;
+
+  // Scoped users (trainers) always report on their own clients only
+  const clientQuery = { ...clientFilter(req.user) };
+  if (req.query.trainer && !isScoped(req.user)) {
+    if (!mongoose.isValidObjectId(req.query.trainer)) {
+      const error = new Error('Invalid trainer id');
+      error.status = 400;
+      throw error;
+    }
+    clientQuery.trainer = new mongoose.Types.ObjectId(req.query.trainer);
+  }
+  if (Object.keys(clientQuery).length > 0) {
+    match.client = { $in: await Client.find(clientQuery).distinct('_id') };
+  }
+
+  return match;
+};
+
+// Totals: check-ins, unique visitors and average session length
+router.get('/attendance/summary', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const match = await buildAttendanceMatch(req, timezone);
+    const [summary] = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          checkIns: { $sum: 1 },
+          visitors: { $addToSet: '$client' },
+          completedSessions: { $sum: { $cond: [{ $ifNull: ['$timeOut', false] }, 1, 0] } },
+          autoClosedSessions: { $sum: { $cond: ['$autoClosed', 1, 0] } },
+          avgSessionMs: { $avg: SESSION_MS }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          checkIns: 1,
+          uniqueVisitors: { $size: '$visitors' },
+          completedSessions: 1,
+          autoClosedSessions: 1,
+          avgSessionMinutes: { $round: [{ $divide: [{ $ifNull: ['$avgSessionMs', 0] }, 60000] }, 1] }
+        }
+      }
+    ]);
+
+    res.json(summary || {
+      checkIns: 0,
+      uniqueVisitors: 0,
+      completedSessions: 0,
+      autoClosedSessions: 0,
+      avgSessionMinutes: 0
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Clients with no check-in for ?days= (default: the win-back setting), grouped by trainer
+router.get('/inactive', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const settings = await getSettings();
+    const days = req.query.days ? parseInt(req.query.days, 10) : settings.winBackAfterDays;
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ message: 'days must be a positive whole number' });
+    }
+
+    const match = await buildAttendanceMatch(req, settings.timezone);
+    const filter = match.client ? { _id: match.client } : {};
+    const inactive = await findInactiveClients({
+      days,
+      settings,
+      filter,
+      includeFrozen: req.query.includeFrozen === 'true'
+    });
+
+    const groups = new Map();
+    for (const { client, lastVisit, daysAbsent, membershipStatus } of inactive) {
+      const key = client.trainer ? client.trainer._id.toString() : 'none';
+      if (!groups.has(key)) {
+        groups.set(key, { trainer: client.trainer ? { _id: client.trainer._id, name: client.trainer.name } : null, clients: [] });
+      }
+      groups.get(key).clients.push({
+        _id: client._id,
+        name: client.name,
+        phone: client.phone,
+        lastVisit,
+        daysAbsent,
+        membershipStatus
+      });
+    }
+
+    const trainers = [...groups.values()].sort((a, b) =>
+      (a.trainer ? a.trainer.name : '\uffff').localeCompare(b.trainer ? b.trainer.name : '\uffff')
+    );
+    res.json({ days, total: inactive.length, trainers });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Win-back messages sent (?from=&to=) and how many of those members came back
+router.get('/win-back', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const query = {};
+    const range = parseDateRange(req.query.from, req.query.to, timezone);
+    if (range) query.sentAt = range;
+    const match = await buildAttendanceMatch({ query: { trainer: req.query.trainer }, user: req.user }, timezone);
+    if (match.client) query.client = match.client;
+
+    const winBacks = await WinBack.find(query)
+      .populate('client', 'name phone')
+      .populate('trainer', 'name')
+      .populate('notification', 'status channel')
+      .sort({ sentAt: -1 });
+
+    const returned = winBacks.filter(winBack => winBack.returnedAt);
+    const daysToReturn = returned.map(winBack => (winBack.returnedAt - winBack.sentAt) / DAY_MS);
+    res.json({
+      sent: winBacks.length,
+      returned: returned.length,
+      returnRate: winBacks.length ? Math.round((returned.length / winBacks.length) * 1000) / 10 : 0,
+      avgDaysToReturn: daysToReturn.length
+        ? Math.round((daysToReturn.reduce((sum, days) => sum + days, 0) / daysToReturn.length) * 10) / 10
+        : null,
+      winBacks
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Check-ins per day, week or month (?interval=day|week|month)
+router.get('/attendance/timeseries', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `interval must be one of: ${INTERVALS.join(', ')}` });
+    }
+
+    const { timezone } = await getSettings();
+    const match = await buildAttendanceMatch(req, timezone);
+    const series = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: { date: '$timeIn', unit: interval, timezone, startOfWeek: 'monday' }
+          },
+          checkIns: { $sum: 1 },
+          visitors: { $addToSet: '$client' },
+          avgSessionMs: { $avg: SESSION_MS }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id',
+          checkIns: 1,
+          uniqueVisitors: { $size: '$visitors' },
+          avgSessionMinutes: { $round: [{ $divide: [{ $ifNull: ['$avgSessionMs', 0] }, 60000] }, 1] }
+        }
+      }
+    ]);
+
+    res.json({ interval, series });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Check-ins by weekday (1 = Sunday ... 7 = Saturday) and hour of day, for staffing
+router.get('/attendance/heatmap', auth, permit('reports:read'), async (req, res) => {
+  try {
+    const { timezone } = await getSettings();
+    const match = await buildAttendanceMatch(req, timezone);
+    const cells = await Attendance.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            weekday: { $dayOfWeek: { date: '$timeIn', timezone } },
+            hour: { $hour: { date: '$timeIn', timezone } }
+          },
+          checkIns: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.weekday': 1, '_id.hour': 1 } },
+      { $project: { _id: 0, weekday: '$_id.weekday', hour: '$_id.hour', checkIns: 1 } }
+    ]);
+
+    res.json(cells);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
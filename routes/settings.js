@@ -0,0 +1,43 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { getSettings, updateSettings } = require('../utils/settings');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+// Settings owners may change (see models/Setting.js); the rest are internal
+const settingsSchema = {
+  gymName: v.string({ required: true, max: 100 }),
+  timezone: v.timeZone(),
+  graceDays: v.number({ min: 0, max: 60, integer: true }),
+  expiredCheckIn: v.oneOf(['block', 'warn']),
+  frozenCheckIn: v.oneOf(['block', 'warn']),
+  closingTime: v.string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'must be a time such as 23:00', nullable: true }),
+  maxSessionHours: v.number({ min: 1, max: 24, nullable: true }),
+  defaultLanguage: v.language(),
+  winBackEnabled: v.boolean(),
+  winBackAfterDays: v.number({ min: 1, max: 365, integer: true }),
+  recycleBinDays: v.number({ min: 1, max: 365, integer: true })
+};
+
+// Get gym settings
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update gym settings
+router.put('/', auth, permit('settings:manage'), validate(settingsSchema, { partial: true }), async (req, res) => {
+  try {
+    res.json(await updateSettings(req.body));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const MessageTemplate = require('../models/MessageTemplate');
+const Client = require('../models/Client');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { getSettings } = require('../utils/settings');
+const {
+  PLACEHOLDERS,
+  getTemplate,
+  listTemplates,
+  renderTemplate,
+  clearTemplateCache
+} = require('../utils/templates');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+const translationSchema = {
+  subject: v.string({ max: 200 }),
+  body: v.string({ required: true, max: 2000 })
+};
+const previewSchema = {
+  client: v.objectId({ required: true }),
+  language: v.language()
+};
+
+// Get all templates with their language versions
+router.get('/', auth, permit('templates:manage'), async (req, res) => {
+  try {
+    res.json({ placeholders: PLACEHOLDERS, templates: await listTemplates() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get one template
+router.get('/:key', auth, permit('templates:manage'), async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.key);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json({ placeholders: PLACEHOLDERS, ...template });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save one language version of a template
+router.put('/:key/:language', auth, permit('templates:manage'), validate(translationSchema), async (req, res) => {
+  try {
+    const language = req.params.language.toLowerCase();
+    const { subject, body } = req.body;
+    if (!LANGUAGE_PATTERN.test(language)) {
+      return res.status(400).json({ message: 'Language must be a code such as en or ur' });
+    }
+
+    const translation = { language, subject, body, updatedBy: req.user._id, updatedAt: new Date() };
+    const updated = await MessageTemplate.findOneAndUpdate(
+      { key: req.params.key, 'translations.language': language },
+      { $set: { 'translations.$': translation } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      await MessageTemplate.findOneAndUpdate(
+        { key: req.params.key },
+        { $push: { translations: translation } },
+        { upsert: true, new: true, runValidators: true }
+      );
+    }
+    clearTemplateCache();
+    res.json(await getTemplate(req.params.key));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove a saved language version (built-in text, if any, applies again)
+router.delete('/:key/:language', auth, permit('templates:manage'), async (req, res) => {
+  try {
+    const language = req.params.language.toLowerCase();
+    const result = await MessageTemplate.updateOne(
+      { key: req.params.key },
+      { $pull: { translations: { language } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'No saved version for this language' });
+    }
+    await MessageTemplate.deleteOne({ key: req.params.key, translations: { $size: 0 } });
+    clearTemplateCache();
+    res.json((await getTemplate(req.params.key)) || { message: 'Template removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Preview a template rendered for a client (body: { client, language? })
+router.post('/:key/preview', auth, permit('templates:manage'), validate(previewSchema), async (req, res) => {
+  try {
+    const client = await Client.findById(req.body.client).select('-photo').populate('plan', 'name price');
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found' });
+    }
+
+    const settings = await getSettings();
+    const rendered = await renderTemplate(req.params.key, client, settings, { language: req.body.language });
+    if (!rendered) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json(rendered);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,90 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Trainer = require('../models/Trainer');
+const Client = require('../models/Client');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { getSettings } = require('../utils/settings');
+const { DAY_MS, parseDateRange } = require('../utils/time');
+const { photoUrl } = require('../utils/photos');
+const { audit } = require('../utils/audit');
+const closeStaleSessions = require('../jobs/closeStaleSessions');
+const v = require('../utils/validation');
 
 const router = express.Router();
 
+const trainerSchema = { name: v.string({ required: true, max: 100 }) };
+const accountSchema = {
+  username: v.username({ required: true }),
+  password: v.password({ required: true }),
+  name: v.string({ max: 100 })
+};
+
+// Trainer "my clients" routes need the logged-in account to be linked to a trainer
+const linkedTrainer = (req, res, next) => {
+  if (!req.user.trainer) {
+    return res.status(400).json({ message: 'Your account is not linked to a trainer' });
+  }
+  next();
+};
+
+// Get clients assigned to the logged-in trainer
+router.get('/me/clients', auth, permit('clients:read'), linkedTrainer, async (req, res) => {
+  try {
+    const clients = await Client.find({ trainer: req.user.trainer })
+      .select('-photo.data')
+      .sort({ name: 1 });
+
+    const clientsWithPhotoUrl = clients.map(client => ({
+      ...client._doc,
+      photoUrl: photoUrl(client),
+      thumbnailUrl: photoUrl(client, 'thumb')
+    }));
+
+    res.json(clientsWithPhotoUrl);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Attendance history of the logged-in trainer's clients (optional ?from=&to= dates)
+router.get('/me/attendances', auth, permit('attendance:read'), linkedTrainer, async (req, res) => {
+  try {
+    const clientIds = await Client.find({ trainer: req.user.trainer }).distinct('_id');
+    const query = { client: { $in: clientIds } };
+    const { timezone } = await getSettings();
+    const range = parseDateRange(req.query.from, req.query.to, timezone);
+    if (range) query.timeIn = range;
+
+    const attendances = await Attendance.find(query)
+      .populate('client', 'name phone')
+      .sort({ timeIn: -1 });
+    res.json(attendances);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// The logged-in trainer's clients who are in the gym right now
+router.get('/me/in-gym', auth, permit('attendance:read'), linkedTrainer, async (req, res) => {
+  try {
+    const clientIds = await Client.find({ trainer: req.user.trainer }).distinct('_id');
+    // The close-sessions cron may run only daily (see jobs/index.js)
+    await closeStaleSessions({ client: { $in: clientIds } });
+    const openSessions = await Attendance.find({ client: { $in: clientIds }, timeOut: null })
+      .populate('client', 'name phone')
+      .sort({ timeIn: 1 });
+    res.json(openSessions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get all trainers
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, permit('trainers:read'), async (req, res) => {
   try {
     const trainers = await Trainer.find().sort({ name: 1 });
     res.json(trainers);
@@ -15,23 +94,148 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Add new trainer
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, permit('trainers:create'), validate(trainerSchema), async (req, res) => {
   try {
     const trainer = new Trainer({
       name: req.body.name
     });
     const newTrainer = await trainer.save();
+    await audit(req, { action: 'trainer.create', entity: 'Trainer', entityId: newTrainer._id, after: newTrainer });
     res.status(201).json(newTrainer);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Delete trainer
-router.delete('/:id', auth, async (req, res) => {
+// Create a login account linked to a trainer
+router.post('/:id/account', auth, permit('users:manage'), validate(accountSchema), async (req, res) => {
   try {
-    await Trainer.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Trainer deleted' });
+    const trainer = await Trainer.findById(req.params.id);
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+
+    const user = new User({
+      username: req.body.username,
+      password: req.body.password,
+      name: req.body.name || trainer.name,
+      role: 'trainer',
+      trainer: trainer._id
+    });
+    const newUser = await user.save();
+    await audit(req, {
+      action: 'trainer.account_create',
+      entity: 'User',
+      entityId: newUser._id,
+      after: newUser,
+      details: { trainer: trainer._id }
+    });
+    res.status(201).json(newUser);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Username already taken' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Recycle bin: deleted trainers that can still be restored
+router.get('/deleted', auth, permit('trainers:delete'), async (req, res) => {
+  try {
+    const { recycleBinDays } = await getSettings();
+    const trainers = await Trainer.find({ deletedAt: { $ne: null } })
+      .populate('deletedBy', 'username name')
+      .sort({ deletedAt: -1 });
+    res.json(trainers.map(trainer => ({
+      ...trainer._doc,
+      purgeAt: new Date(trainer.deletedAt.getTime() + recycleBinDays * DAY_MS)
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete trainer. Their clients must go somewhere: ?reassignTo=<trainerId> or
+// ?unassign=true. Linked trainer logins are disabled.
+router.delete('/:id', auth, permit('trainers:delete'), async (req, res) => {
+  try {
+    const trainer = await Trainer.findById(req.params.id);
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer not found' });
+    }
+
+    let target = null;
+    if (req.query.reassignTo) {
+      if (!mongoose.isValidObjectId(req.query.reassignTo) || trainer._id.equals(req.query.reassignTo)) {
+        return res.status(400).json({ message: 'reassignTo must be another trainer' });
+      }
+      target = await Trainer.findById(req.query.reassignTo);
+      if (!target) {
+        return res.status(400).json({ message: 'Trainer to reassign to not found' });
+      }
+    } else if (req.query.unassign !== 'true') {
+      const clients = await Client.countDocuments({ trainer: trainer._id });
+      if (clients > 0) {
+        return res.status(409).json({
+          message: `Trainer has ${clients} client(s); pass ?reassignTo=<trainerId> or ?unassign=true`,
+          clients
+        });
+      }
+    }
+
+    // Clients in the recycle bin move too, so restoring them never points at a deleted trainer
+    const reassigned = await Client.updateMany(
+      { trainer: trainer._id },
+      target ? { trainer: target._id } : { $unset: { trainer: 1 } },
+      { withDeleted: true }
+    );
+    const accounts = await User.updateMany(
+      { trainer: trainer._id, active: true },
+      { active: false, $inc: { tokenVersion: 1 } }
+    );
+
+    trainer.deletedAt = new Date();
+    trainer.deletedBy = req.user._id;
+    await trainer.save();
+
+    const result = {
+      clientsAffected: reassigned.modifiedCount,
+      reassignedTo: target ? target._id : null,
+      accountsDisabled: accounts.modifiedCount
+    };
+    await audit(req, {
+      action: 'trainer.delete',
+      entity: 'Trainer',
+      entityId: trainer._id,
+      before: { deletedAt: null },
+      after: { deletedAt: trainer.deletedAt },
+      details: result
+    });
+
+    res.json({ message: 'Trainer moved to the recycle bin', ...result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Restore a trainer from the recycle bin (clients and logins stay as they are)
+router.post('/:id/restore', auth, permit('trainers:delete'), async (req, res) => {
+  try {
+    const trainer = await Trainer.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, $unset: { deletedBy: 1 } }
+    );
+    if (!trainer) {
+      return res.status(404).json({ message: 'Trainer is not in the recycle bin' });
+    }
+    await audit(req, {
+      action: 'trainer.restore',
+      entity: 'Trainer',
+      entityId: trainer._id,
+      before: { deletedAt: trainer.deletedAt },
+      after: { deletedAt: null }
+    });
+    res.json(await Trainer.findById(trainer._id));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -0,0 +1,110 @@
+const express = require('express');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const permit = require('../middleware/permit');
+const validate = require('../middleware/validate');
+const { revokeRefreshTokens } = require('../utils/tokens');
+const { getRoleNames, getPermissions } = require('../config/roles');
+const v = require('../utils/validation');
+
+const router = express.Router();
+
+const createUserSchema = {
+  username: v.username({ required: true }),
+  password: v.password({ required: true }),
+  name: v.string({ max: 100 }),
+  role: v.oneOf(getRoleNames()),
+  trainer: v.objectId()
+};
+const passwordSchema = { password: v.password({ required: true }) };
+
+// Get all staff users
+router.get('/', auth, permit('users:manage'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List configured roles and their permissions
+router.get('/roles', auth, permit('users:manage'), (req, res) => {
+  res.json(getRoleNames().map(role => ({ role, permissions: getPermissions(role) })));
+});
+
+// Create staff user
+router.post('/', auth, permit('users:manage'), validate(createUserSchema), async (req, res) => {
+  try {
+    const { username, password, name, role, trainer } = req.body;
+    const user = new User({ username, password, name, role, trainer });
+    const newUser = await user.save();
+    res.status(201).json(newUser);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Username already taken' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Disable staff user (signs them out everywhere)
+router.put('/:id/disable', auth, permit('users:manage'), async (req, res) => {
+  try {
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { active: false, $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await revokeRefreshTokens(user._id);
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Re-enable staff user
+router.put('/:id/enable', auth, permit('users:manage'), async (req, res) => {
+  try {
+    // Accounts restored from a backup have no password until one is set
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, password: { $type: 'string' } },
+      { active: true },
+      { new: true }
+    );
+    if (!user) {
+      if (await User.exists({ _id: req.params.id })) {
+        return res.status(409).json({ message: 'Set a new password for this account before enabling it' });
+      }
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reset a staff user's password
+router.put('/:id/password', auth, permit('users:manage'), validate(passwordSchema), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    user.password = req.body.password;
+    user.tokenVersion += 1;
+    await user.save();
+    await revokeRefreshTokens(user._id);
+    res.json({ message: 'Password reset' });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// Fills in the `search` field (name/address words and phone key) for every
+// client and builds the search indexes. The daily backfill-search job does the
+// same for clients that have no search field yet; run this after changing how
+// search values are computed. Safe to run again: every client is recomputed.
+//
+// Usage: npm run migrate:search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const backfillSearch = require('../jobs/backfillSearch');
+
+const backfill = async () => {
+  if (!process.env.MONGO_URL) throw new Error('MONGO_URL environment variable is not set');
+  await mongoose.connect(process.env.MONGO_URL);
+  await Client.syncIndexes();
+
+  const { updated } = await backfillSearch({ all: true });
+  console.log(`Done: search fields written for ${updated} client(s)`);
+};
+
+backfill()
+  .catch(error => {
+    console.error('Search backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
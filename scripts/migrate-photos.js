@@ -0,0 +1,77 @@
+// Moves client photos out of MongoDB into the configured photo storage backend.
+// Handles both legacy formats: base64 in photo.data (Vercel) and a bare
+// "/uploads/<file>" string path (old local uploads).
+//
+// Usage: npm run migrate:photos [-- --dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const storage = require('../storage');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif'
+};
+
+const migrate = async () => {
+  if (!process.env.MONGO_URL) throw new Error('MONGO_URL environment variable is not set');
+  await mongoose.connect(process.env.MONGO_URL);
+
+  // Raw collection access: legacy string photos don't fit the Client schema
+  const clients = mongoose.connection.db.collection('clients');
+  const cursor = clients.find({
+    $or: [{ 'photo.data': { $exists: true } }, { photo: { $type: 'string' } }]
+  });
+
+  let migrated = 0;
+  let failed = 0;
+  for await (const client of cursor) {
+    try {
+      let buffer;
+      let contentType;
+      if (typeof client.photo === 'string') {
+        const filePath = path.join(__dirname, '..', client.photo);
+        buffer = await fs.promises.readFile(filePath);
+        contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'image/jpeg';
+      } else {
+        buffer = Buffer.from(client.photo.data, 'base64');
+        contentType = client.photo.contentType || 'image/jpeg';
+      }
+
+      const key = `clients/${client._id}/migrated-${Date.now()}`;
+      console.log(`${dryRun ? '[dry run] ' : ''}${client.name}: ${buffer.length} bytes -> ${storage.name}:${key}`);
+      if (!dryRun) {
+        await storage.put(key, buffer, contentType);
+        await clients.updateOne({ _id: client._id }, {
+          $set: {
+            photo: {
+              key,
+              contentType,
+              size: buffer.length,
+              uploadedAt: client.photo.uploadedAt || new Date()
+            }
+          }
+        });
+      }
+      migrated += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Failed to migrate photo for ${client.name} (${client._id}):`, error.message);
+    }
+  }
+
+  console.log(`Done: ${migrated} migrated, ${failed} failed${dryRun ? ' (dry run, nothing written)' : ''}`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Photo migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,57 @@
+// Rewrites client phones saved before request validation into E.164
+// ("+923001234567"), using DEFAULT_PHONE_COUNTRY for numbers without a
+// country code. Numbers that can't be parsed are listed and left unchanged.
+// Safe to run again: phones already in E.164 are skipped.
+//
+// Usage: npm run migrate:phones
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { normalizePhone } = require('../utils/phone');
+const { searchFields } = require('../utils/search');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  if (!process.env.MONGO_URL) throw new Error('MONGO_URL environment variable is not set');
+  await mongoose.connect(process.env.MONGO_URL);
+
+  // Raw collection access: include clients in the recycle bin too
+  const clients = mongoose.connection.db.collection('clients');
+  const cursor = clients.find({}, { projection: { name: 1, phone: 1 } });
+
+  let updated = 0;
+  const invalid = [];
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await clients.bulkWrite(batch, { ordered: false });
+    updated += batch.length;
+    batch = [];
+  };
+
+  for await (const client of cursor) {
+    const phone = normalizePhone(client.phone);
+    if (!phone) {
+      invalid.push(client);
+      continue;
+    }
+    if (phone === client.phone) continue;
+    const update = { phone, 'search.phone': searchFields({ phone }).phone };
+    batch.push({ updateOne: { filter: { _id: client._id }, update: { $set: update } } });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`Done: ${updated} phone number(s) normalized`);
+  if (invalid.length > 0) {
+    console.log(`${invalid.length} client(s) have a phone that could not be read, fix them by hand:`);
+    for (const client of invalid) console.log(`  ${client._id} ${client.name}: ${client.phone}`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('Phone migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
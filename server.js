@@ -1,66 +1,17 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const axios = require('axios');
 const cron = require('node-cron');
-const fs = require('fs');
-const path = require('path');
-const multer = require('multer');
 require('dotenv').config();
 
 const Client = require('./models/Client');
+const photoUpload = require('./middleware/photoUpload');
+const photoStorage = require('./storage');
+const { runNamedJob } = require('./jobs');
 
 // IMPORTANT: For Vercel, we need to handle serverless environment
 const isVercel = process.env.VERCEL === '1';
 
-// FIXED: Proper multer configuration for Vercel
-let storage;
-let upload;
-
-if (isVercel) {
-  // For Vercel: Use memory storage (files stored in memory, not disk)
-  storage = multer.memoryStorage();
-  
-  // Create /tmp/uploads directory for temporary file serving
-  const tmpUploadsPath = '/tmp/uploads';
-  if (!fs.existsSync(tmpUploadsPath)) {
-    fs.mkdirSync(tmpUploadsPath, { recursive: true });
-  }
-} else {
-  // For local development: Use disk storage
-  storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-      const uploadsDir = 'uploads/';
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
-      }
-      cb(null, uploadsDir);
-    },
-    filename: function (req, file, cb) {
-      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-      cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-  });
-}
-
-upload = multer({ 
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = /jpeg|jpg|png|gif|avif/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only images (jpeg, jpg, png, gif, avif) are allowed!'));
-    }
-  }
-});
-
 const Attendance = require('./models/Attendance');
 const User = require('./models/User');
 
@@ -72,17 +23,12 @@ app.use(cors({
   origin: '*', // Allow all for now, we'll fix this later
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Token'],
+  // Paging info for client listings (see utils/clientListing.js)
+  exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Per-Page', 'X-Total-Pages']
 }));
 app.use(express.json());
 
-// Serve uploaded files - handle Vercel's /tmp directory
-if (isVercel) {
-  app.use('/uploads', express.static('/tmp/uploads'));
-} else {
-  app.use('/uploads', express.static('uploads'));
-}
-
 // FIXED: Global connection caching for Vercel serverless
 let cachedConnection = null;
 
@@ -158,9 +104,22 @@ function getStateDescription(state) {
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/users', require('./routes/users'));
 app.use('/api/clients', require('./routes/clients'));
 app.use('/api/client', require('./routes/client'));
 app.use('/api/trainers', require('./routes/trainers'));
+app.use('/api/plans', require('./routes/plans'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/exports', require('./routes/exports'));
+app.use('/api/cron', require('./routes/cron'));
+app.use('/api/devices', require('./routes/devices'));
+app.use('/api/photos', require('./routes/photos'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/backups', require('./routes/backups'));
+app.use('/api/audit', require('./routes/audit'));
 
 // Test if routes are working
 app.get('/api/test-routes', async (req, res) => {
@@ -190,33 +149,19 @@ app.get('/api/test-routes', async (req, res) => {
 });
 
 // Add a test upload endpoint for Vercel file handling
-app.post('/api/test-upload', upload.single('image'), async (req, res) => {
+app.post('/api/test-upload', photoUpload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    let fileInfo;
-    
-    if (isVercel) {
-      // For Vercel: File is in memory buffer
-      fileInfo = {
-        filename: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        storage: 'memory (base64)',
-        base64Preview: req.file.buffer.toString('base64').substring(0, 100) + '...'
-      };
-    } else {
-      // For local: File is on disk
-      fileInfo = {
-        filename: req.file.filename,
-        path: req.file.path,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        storage: 'disk'
-      };
-    }
+    // Uploads are buffered in memory and handed to the photo storage driver
+    const fileInfo = {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+      storage: photoStorage.name
+    };
     
     res.json({
       success: true,
@@ -507,137 +452,42 @@ app.get('/', async (req, res) => {
   }
 });
 
-// Evolution API WhatsApp setup (optional - remove if not needed)
-const evolutionApiUrl = process.env.EVOLUTION_API_URL;
-const evolutionApiKey = process.env.EVOLUTION_API_KEY;
-const evolutionInstance = process.env.EVOLUTION_INSTANCE;
-
-// Function to send WhatsApp message
-const sendWhatsAppMessage = async (to, message) => {
-  // Check if Evolution API is configured
-  if (!evolutionApiUrl || !evolutionApiKey || !evolutionInstance) {
-    console.log('Evolution API not configured, skipping WhatsApp message');
-    return;
-  }
-  
-  try {
-    const response = await axios.post(`${evolutionApiUrl}/message/sendText/${evolutionInstance}`, {
-      number: to,
-      text: message
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': evolutionApiKey
-      }
-    });
-    console.log(`WhatsApp message sent to ${to}`, response.data);
-  } catch (error) {
-    console.error('Error sending WhatsApp message:', error.response?.data || error.message);
-  }
-};
-
-// Function to check and send fee reminders
-const sendFeeReminders = async () => {
-  try {
-    // In Vercel serverless, cron jobs should be handled differently
-    // Consider using Vercel Cron Jobs or external cron service
-    if (isVercel) {
-      console.log('Cron jobs disabled in Vercel serverless environment');
-      return;
-    }
-    
-    const clients = await Client.find({});
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    for (const client of clients) {
-      const feeDate = new Date(client.feeSubmissionDate);
-      const nextFee = new Date(feeDate.getFullYear(), feeDate.getMonth() + 1, feeDate.getDate());
-      const diffTime = nextFee - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-
-      let message = '';
-      if (diffDays === 7) {
-        message = `Hi ${client.name}, your gym fee is due in 7 days. Please prepare to pay.`;
-      } else if (diffDays === 3) {
-        message = `Hi ${client.name}, your gym fee is due in 3 days. Please make the payment soon.`;
-      } else if (diffDays === 0) {
-        message = `Hi ${client.name}, your gym fee is due today. Please pay immediately to avoid any issues.`;
-      }
-
-      if (message && client.phone) {
-        await sendWhatsAppMessage(client.phone, message);
-      }
-    }
-  } catch (error) {
-    console.error('Error sending fee reminders:', error);
-  }
-};
-
-// Function to backup data
-const backupData = async () => {
-  try {
-    // Skip backup in Vercel serverless environment
-    if (isVercel) {
-      console.log('Backup disabled in Vercel serverless environment');
-      return;
-    }
-    
-    const backupDir = path.join(__dirname, 'backups');
-    if (!fs.existsSync(backupDir)) {
-      fs.mkdirSync(backupDir);
-    }
+// Schedule tasks locally; on Vercel they run through /api/cron (see vercel.json)
+if (!isVercel) {
+  const runScheduled = (name) => {
+    runNamedJob(name, 'node-cron').catch(error => console.error(`Error running ${name} job:`, error));
+  };
+  // Daily jobs fire at gym-local times. Schedules are fixed at startup, so set
+  // GYM_TIMEZONE to match settings.timezone when the gym isn't in Asia/Karachi.
+  const gymClock = { timezone: process.env.GYM_TIMEZONE || 'Asia/Karachi' };
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupFile = path.join(backupDir, `backup-${timestamp}.json`);
+  // Daily fee reminders at 9 AM
+  cron.schedule('0 9 * * *', () => runScheduled('fee-reminders'), gymClock);
 
-    const clients = await Client.find({});
-    const attendances = await Attendance.find({});
-    const users = await User.find({});
+  // Daily win-back messages at 11 AM (does nothing unless enabled in settings)
+  cron.schedule('0 11 * * *', () => runScheduled('win-back'), gymClock);
 
-    const backupData = {
-      clients,
-      attendances,
-      users,
-      timestamp: new Date()
-    };
+  // Close forgotten open sessions every 15 minutes
+  cron.schedule('*/15 * * * *', () => runScheduled('close-sessions'));
 
-    fs.writeFileSync(backupFile, JSON.stringify(backupData, null, 2));
-    console.log(`Backup created: ${backupFile}`);
+  // Retry failed notifications every 5 minutes
+  cron.schedule('*/5 * * * *', () => runScheduled('retry-notifications'));
 
-    // Keep only last 7 backups
-    const files = fs.readdirSync(backupDir).sort().reverse();
-    if (files.length > 7) {
-      files.slice(7).forEach(file => {
-        fs.unlinkSync(path.join(backupDir, file));
-      });
-    }
-  } catch (error) {
-    console.error('Error creating backup:', error);
-  }
-};
+  // Daily data backup at 2 AM
+  cron.schedule('0 2 * * *', () => runScheduled('backup'), gymClock);
 
-// Schedule tasks only if not in Vercel serverless
-if (!isVercel) {
-  // Schedule daily check at 9 AM
-  cron.schedule('0 9 * * *', () => {
-    console.log('Running daily fee reminder check');
-    sendFeeReminders();
-  });
+  // Empty the recycle bin of expired entries at 3 AM (after the backup)
+  cron.schedule('0 3 * * *', () => runScheduled('purge-deleted'), gymClock);
 
-  // Schedule daily backup at 2 AM
-  cron.schedule('0 2 * * *', () => {
-    console.log('Running daily data backup');
-    backupData();
-  });
-} else {
-  console.log('Cron jobs disabled for Vercel deployment');
+  // Search fields for clients saved before search existed: once at startup, then daily
+  mongoose.connection.once('open', () => runScheduled('backfill-search'));
+  cron.schedule('0 4 * * *', () => runScheduled('backfill-search'), gymClock);
 }
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Global error handler triggered:', err.message || err);
-  if (err.message && err.message.includes('Only images')) {
+  if (err.message && (err.message.includes('Only images') || err.message.includes('Only CSV'))) {
     console.log('Handling image error');
     return res.status(400).json({ message: err.message });
   }
@@ -645,8 +495,10 @@ app.use((err, req, res, next) => {
     console.log('Handling file size error');
     return res.status(400).json({ message: 'File too large. Maximum size is 5MB.' });
   }
+  // Same shape as middleware/validate.js: { message, errors: { field: message } }
   if (err.name === 'ValidationError') {
-    return res.status(400).json({ message: err.message });
+    const errors = Object.fromEntries(Object.entries(err.errors || {}).map(([field, error]) => [field, error.message]));
+    return res.status(400).json({ message: 'Validation failed', errors });
   }
   console.log('Unhandled error');
   res.status(500).json({ message: err.message || 'Internal server error' });
@@ -0,0 +1,47 @@
+const path = require('path');
+
+// Storage backends. Every driver exposes put(key, buffer, contentType), get(key),
+// remove(key) and list(prefix).
+//   Photos:  PHOTO_STORAGE=local|s3 (default: local), PHOTO_STORAGE_DIR, S3_BUCKET
+//   Backups: BACKUP_STORAGE=local|s3 (default: PHOTO_STORAGE), BACKUP_DIR,
+//            BACKUP_S3_BUCKET (default: S3_BUCKET, under "backups/")
+const drivers = {
+  local: (options) => require('./local')(options.dir),
+  s3: (options) => require('./s3')(options)
+};
+
+// Vercel only allows writes under /tmp (and wipes it), so use S3 there in production
+const isVercel = process.env.VERCEL === '1';
+
+const createStorage = (envName, driverName, options) => {
+  if (!drivers[driverName]) {
+    throw new Error(`Unknown ${envName} driver: ${driverName}`);
+  }
+  if (driverName === 'local' && isVercel) {
+    console.warn(`⚠️ Local storage on Vercel is not persistent; set ${envName}=s3`);
+  }
+  return drivers[driverName](options);
+};
+
+const photoDriver = process.env.PHOTO_STORAGE || 'local';
+const photoStorage = createStorage('PHOTO_STORAGE', photoDriver, {
+  dir: process.env.PHOTO_STORAGE_DIR || (isVercel ? '/tmp/uploads' : path.join(__dirname, '..', 'uploads')),
+  bucket: process.env.S3_BUCKET
+});
+
+let backupStorage = null;
+
+// Built on first use so deployments without backups don't need the settings
+const getBackupStorage = () => {
+  if (!backupStorage) {
+    backupStorage = createStorage('BACKUP_STORAGE', process.env.BACKUP_STORAGE || photoDriver, {
+      dir: process.env.BACKUP_DIR || (isVercel ? '/tmp/backups' : path.join(__dirname, '..', 'backups')),
+      bucket: process.env.BACKUP_S3_BUCKET || process.env.S3_BUCKET,
+      keyPrefix: process.env.BACKUP_S3_BUCKET ? '' : 'backups/'
+    });
+  }
+  return backupStorage;
+};
+
+module.exports = photoStorage;
+module.exports.getBackupStorage = getBackupStorage;
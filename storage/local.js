@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files under `baseDir` on the server's disk
+const createLocalStorage = (baseDir) => {
+  // Keys may contain "/" but must never escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const put = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  };
+
+  // Returns { body, size, lastModified } or null when the object doesn't exist
+  const get = async (key) => {
+    const filePath = resolveKey(key);
+    try {
+      const stat = await fs.promises.stat(filePath);
+      return { body: fs.createReadStream(filePath), size: stat.size, lastModified: stat.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  // Top-level objects whose key starts with `prefix`: [{ key, size, lastModified }]
+  const list = async (prefix = '') => {
+    let names;
+    try {
+      names = await fs.promises.readdir(baseDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const objects = [];
+    for (const name of names.filter(name => name.startsWith(prefix))) {
+      const stat = await fs.promises.stat(path.join(baseDir, name));
+      if (stat.isFile()) objects.push({ key: name, size: stat.size, lastModified: stat.mtime });
+    }
+    return objects;
+  };
+
+  return { name: 'local', put, get, remove, list };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,89 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Works with AWS S3 and S3-compatible servers (MinIO, Cloudflare R2, Backblaze B2).
+// For a local MinIO: S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true
+let client = null;
+
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+        : undefined
+    });
+  }
+  return client;
+};
+
+// Objects in `bucket`, with every key stored under `keyPrefix` (e.g. "backups/")
+const createS3Storage = ({ bucket, keyPrefix = '' }) => {
+  const checkBucket = () => {
+    if (!bucket) throw new Error('S3 bucket is not configured (set S3_BUCKET)');
+  };
+
+  const put = async (key, buffer, contentType) => {
+    checkBucket();
+    await getClient().send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: keyPrefix + key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  };
+
+  // Returns { body, size, lastModified } or null when the object doesn't exist
+  const get = async (key) => {
+    checkBucket();
+    try {
+      const object = await getClient().send(new GetObjectCommand({ Bucket: bucket, Key: keyPrefix + key }));
+      return { body: object.Body, size: object.ContentLength, lastModified: object.LastModified };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    checkBucket();
+    await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: keyPrefix + key }));
+  };
+
+  // Objects whose key starts with `prefix`: [{ key, size, lastModified }]
+  const list = async (prefix = '') => {
+    checkBucket();
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const page = await getClient().send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: keyPrefix + prefix,
+        ContinuationToken
+      }));
+      for (const object of page.Contents || []) {
+        objects.push({
+          key: object.Key.slice(keyPrefix.length),
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+  };
+
+  return { name: 's3', put, get, remove, list };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addMonths, addPlanPeriod, getNextDueDate, daysUntil } = require('../utils/billing');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+const ymd = (date) => date.toISOString().slice(0, 10);
+
+test('addMonths clamps to the end of shorter months', () => {
+  assert.equal(ymd(addMonths(day('2026-01-31'), 1)), '2026-02-28');
+  assert.equal(ymd(addMonths(day('2028-01-31'), 1)), '2028-02-29');
+  assert.equal(ymd(addMonths(day('2026-03-31'), 1)), '2026-04-30');
+  assert.equal(ymd(addMonths(day('2026-01-15'), 1)), '2026-02-15');
+});
+
+test('addMonths keeps the anchor day instead of drifting', () => {
+  const february = addMonths(day('2026-01-31'), 1);
+  assert.equal(ymd(addMonths(february, 1, 31)), '2026-03-31');
+  assert.equal(ymd(addMonths(february, 1)), '2026-03-28');
+});
+
+test('addMonths crosses year boundaries in both directions', () => {
+  assert.equal(ymd(addMonths(day('2026-11-30'), 3)), '2027-02-28');
+  assert.equal(ymd(addMonths(day('2026-12-31'), 12)), '2027-12-31');
+  assert.equal(ymd(addMonths(day('2026-03-31'), -1)), '2026-02-28');
+  assert.equal(ymd(addMonths(day('2026-01-10'), -2)), '2025-11-10');
+});
+
+test('addPlanPeriod uses months for fixed plans and days for custom ones', () => {
+  assert.equal(ymd(addPlanPeriod(day('2026-01-31'), { type: 'monthly' }, 31)), '2026-02-28');
+  assert.equal(ymd(addPlanPeriod(day('2026-01-31'), { type: 'quarterly' }, 31)), '2026-04-30');
+  assert.equal(ymd(addPlanPeriod(day('2026-02-28'), { type: 'yearly' })), '2027-02-28');
+  assert.equal(ymd(addPlanPeriod(day('2026-01-31'), { type: 'custom', durationDays: 10 })), '2026-02-10');
+});
+
+test('getNextDueDate prefers the ledger date over the legacy fee date', () => {
+  assert.equal(ymd(getNextDueDate({ nextDueDate: day('2026-05-01'), feeSubmissionDate: day('2026-01-01') })), '2026-05-01');
+  assert.equal(ymd(getNextDueDate({ feeSubmissionDate: day('2026-01-31') })), '2026-02-28');
+  assert.equal(getNextDueDate({}), null);
+});
+
+test('daysUntil counts whole calendar days and goes negative when overdue', () => {
+  assert.equal(daysUntil(day('2026-03-10'), day('2026-03-07')), 3);
+  assert.equal(daysUntil(day('2026-03-07'), day('2026-03-10')), -3);
+  assert.equal(daysUntil(new Date('2026-03-10T23:59:00Z'), new Date('2026-03-10T00:01:00Z')), 0);
+});
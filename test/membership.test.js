@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getMembershipStatus } = require('../utils/membership');
+
+const day = (text) => new Date(`${text}T00:00:00Z`);
+const settings = { timezone: 'Asia/Karachi', graceDays: 3 };
+// 10 March in Karachi
+const now = new Date('2026-03-10T07:00:00Z');
+
+const statusOn = (client, at = now) => getMembershipStatus(client, settings, at);
+
+test('members with a due date ahead are active', () => {
+  assert.deepEqual(statusOn({ nextDueDate: day('2026-03-15') }), {
+    status: 'active',
+    dueDate: day('2026-03-15'),
+    daysRemaining: 5
+  });
+  assert.equal(statusOn({ nextDueDate: day('2026-03-11') }).status, 'active');
+});
+
+test('the grace period starts on the due date and lasts graceDays', () => {
+  assert.equal(statusOn({ nextDueDate: day('2026-03-10') }).status, 'grace');
+  assert.equal(statusOn({ nextDueDate: day('2026-03-08') }).status, 'grace');
+  assert.equal(statusOn({ nextDueDate: day('2026-03-07') }).status, 'expired');
+  assert.equal(getMembershipStatus({ nextDueDate: day('2026-03-10') }, { ...settings, graceDays: 0 }, now).status, 'expired');
+});
+
+test('members without any due date are expired', () => {
+  assert.deepEqual(statusOn({}), { status: 'expired', dueDate: null, daysRemaining: null });
+});
+
+test('the legacy fee date still counts when there is no ledger date', () => {
+  assert.equal(statusOn({ feeSubmissionDate: day('2026-02-20') }).status, 'active');
+});
+
+test('the day is taken in the gym timezone, not UTC', () => {
+  // 19:30 UTC on the 9th is already the 10th in Karachi
+  const lateEvening = new Date('2026-03-09T19:30:00Z');
+  assert.equal(statusOn({ nextDueDate: day('2026-03-10') }, lateEvening).status, 'grace');
+  assert.equal(statusOn({ nextDueDate: day('2026-03-10') }, new Date('2026-03-09T18:30:00Z')).status, 'active');
+});
+
+test('a freeze covering today wins over the due date, end day excluded', () => {
+  const freeze = { start: day('2026-03-05'), end: day('2026-03-12') };
+  const frozen = statusOn({ nextDueDate: day('2026-03-01'), freeze });
+  assert.equal(frozen.status, 'frozen');
+  assert.equal(frozen.frozenUntil, freeze.end);
+  assert.equal(frozen.daysRemaining, -9);
+
+  assert.equal(statusOn({ nextDueDate: day('2026-04-01'), freeze: { start: day('2026-03-11'), end: day('2026-03-20') } }).status, 'active');
+  assert.equal(statusOn({ nextDueDate: day('2026-04-01'), freeze: { start: day('2026-03-01'), end: day('2026-03-10') } }).status, 'active');
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, phoneSearchKey } = require('../utils/phone');
+
+test('national, international and 00-prefixed numbers give the same E.164 form', () => {
+  for (const input of ['03001234567', '0300-1234567', '(0300) 123 4567', '+92 300 1234567', '00923001234567']) {
+    assert.equal(normalizePhone(input, 'PK'), '+923001234567', input);
+  }
+});
+
+test('numbers with a country code keep it whatever the default country', () => {
+  assert.equal(normalizePhone('+1 212 555 0199', 'PK'), '+12125550199');
+  assert.equal(normalizePhone('020 7946 0958', 'GB'), '+442079460958');
+});
+
+test('invalid or empty input gives null', () => {
+  for (const input of ['', null, undefined, '123', 'call me', '0300123']) {
+    assert.equal(normalizePhone(input, 'PK'), null, String(input));
+  }
+});
+
+test('search keys match however the number was typed, also for partial input', () => {
+  const key = phoneSearchKey('+923001234567');
+  assert.equal(key, '3001234567');
+  assert.equal(phoneSearchKey('03001234567'), key);
+  assert.equal(phoneSearchKey('0092 300 1234567'), key);
+  assert.equal(phoneSearchKey('0300 12'), '30012');
+  assert.equal(phoneSearchKey(''), '');
+});
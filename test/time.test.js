@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toCalendarDate,
+  parseCalendarDate,
+  getDayRange,
+  parseDateRange,
+  zonedTimeToUtc
+} = require('../utils/time');
+
+const iso = (date) => date.toISOString();
+
+test('calendar dates are the gym-local day of an instant', () => {
+  const instant = new Date('2026-03-10T20:30:00Z');
+  assert.equal(iso(toCalendarDate(instant, 'Asia/Karachi')), '2026-03-11T00:00:00.000Z');
+  assert.equal(iso(toCalendarDate(instant, 'America/New_York')), '2026-03-10T00:00:00.000Z');
+});
+
+test('parseCalendarDate takes YYYY-MM-DD literally and maps instants to the local day', () => {
+  assert.equal(iso(parseCalendarDate('2026-03-10', 'Pacific/Kiritimati')), '2026-03-10T00:00:00.000Z');
+  assert.equal(iso(parseCalendarDate('2026-03-10T23:00:00Z', 'Asia/Karachi')), '2026-03-11T00:00:00.000Z');
+  assert.ok(isNaN(parseCalendarDate('not a date', 'UTC')));
+});
+
+test('getDayRange covers the local day around an instant', () => {
+  const { start, end } = getDayRange(new Date('2026-03-10T20:30:00Z'), 'Asia/Karachi');
+  assert.equal(iso(start), '2026-03-10T19:00:00.000Z');
+  assert.equal(iso(end), '2026-03-11T19:00:00.000Z');
+});
+
+test('getDayRange handles DST days (23 and 25 hours long)', () => {
+  const spring = getDayRange(new Date('2026-03-08T12:00:00Z'), 'America/New_York');
+  assert.equal(iso(spring.start), '2026-03-08T05:00:00.000Z');
+  assert.equal(iso(spring.end), '2026-03-09T04:00:00.000Z');
+  const autumn = getDayRange(new Date('2026-11-01T12:00:00Z'), 'America/New_York');
+  assert.equal(autumn.end - autumn.start, 25 * 60 * 60 * 1000);
+});
+
+test('parseDateRange gives whole local days with `to` inclusive, in every zone', () => {
+  const cases = {
+    'Pacific/Kiritimati': ['2026-03-09T10:00:00.000Z', '2026-03-10T10:00:00.000Z'], // UTC+14
+    'Pacific/Tongatapu': ['2026-03-09T11:00:00.000Z', '2026-03-10T11:00:00.000Z'], // UTC+13
+    'Asia/Karachi': ['2026-03-09T19:00:00.000Z', '2026-03-10T19:00:00.000Z'],
+    'UTC': ['2026-03-10T00:00:00.000Z', '2026-03-11T00:00:00.000Z'],
+    'Pacific/Pago_Pago': ['2026-03-10T11:00:00.000Z', '2026-03-11T11:00:00.000Z'] // UTC-11
+  };
+  for (const [zone, [from, to]] of Object.entries(cases)) {
+    const range = parseDateRange('2026-03-10', '2026-03-10', zone);
+    assert.deepEqual([iso(range.$gte), iso(range.$lt)], [from, to], zone);
+  }
+});
+
+test('parseDateRange accepts one-sided ranges and rejects bad dates with a 400', () => {
+  assert.equal(parseDateRange(undefined, undefined, 'UTC'), null);
+  assert.deepEqual(Object.keys(parseDateRange('2026-03-10', undefined, 'UTC')), ['$gte']);
+  assert.deepEqual(Object.keys(parseDateRange(undefined, '2026-03-10', 'UTC')), ['$lt']);
+  assert.throws(() => parseDateRange('yesterday', undefined, 'UTC'), { status: 400, message: 'Invalid from date' });
+});
+
+test('zonedTimeToUtc converts local wall-clock times', () => {
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 3, day: 10, hour: 23 }, 'Asia/Karachi')), '2026-03-10T18:00:00.000Z');
+  assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 7, day: 1, hour: 9 }, 'Europe/London')), '2026-07-01T08:00:00.000Z');
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const v = require('../utils/validation');
+
+const context = { timezone: 'Asia/Karachi' };
+const check = (schema, input, options) => v.validateObject(schema, input, context, options);
+
+test('validateObject drops fields that are not in the schema', () => {
+  const schema = { name: v.string({ required: true }) };
+  const { value, errors } = check(schema, { name: 'Ali', photo: { data: 'x' }, createdAt: '2020-01-01' });
+  assert.equal(errors, null);
+  assert.deepEqual(value, { name: 'Ali' });
+});
+
+test('validateObject reports every bad field with its name', () => {
+  const schema = {
+    name: v.string({ required: true }),
+    phone: v.phone({ required: true }),
+    email: v.email(),
+    plan: v.objectId()
+  };
+  const { value, errors } = check(schema, { phone: '12', email: 'nope', plan: 'x' });
+  assert.deepEqual(value, {});
+  assert.deepEqual(errors, {
+    name: 'name is required',
+    phone: 'phone must be a valid phone number',
+    email: 'email must be a valid email address',
+    plan: 'plan must be a valid id'
+  });
+});
+
+test('validateObject skips required fields in partial mode but still checks given ones', () => {
+  const schema = { name: v.string({ required: true }), address: v.string({ required: true }) };
+  assert.deepEqual(check(schema, { name: 'Ali' }, { partial: true }), { value: { name: 'Ali' }, errors: null });
+  assert.deepEqual(check(schema, { name: '  ' }, { partial: true }).errors, { name: 'name is required' });
+});
+
+test('empty strings clear nullable fields and are ignored by optional ones', () => {
+  const schema = { email: v.email({ nullable: true }), note: v.string() };
+  assert.deepEqual(check(schema, { email: '', note: '' }), { value: { email: null }, errors: null });
+});
+
+test('null is only accepted for nullable fields', () => {
+  const schema = { trainer: v.objectId({ nullable: true }), plan: v.objectId() };
+  const { value, errors } = check(schema, { trainer: null, plan: null });
+  assert.deepEqual(value, { trainer: null });
+  assert.deepEqual(errors, { plan: 'plan cannot be empty' });
+});
+
+test('non-object bodies are treated as empty', () => {
+  const schema = { name: v.string({ required: true }) };
+  assert.deepEqual(check(schema, ['Ali']).errors, { name: 'name is required' });
+  assert.deepEqual(check(schema, undefined).errors, { name: 'name is required' });
+});
+
+test('strings are trimmed and length checked; passwords are not trimmed', () => {
+  const schema = { name: v.string({ max: 3 }), password: v.password() };
+  assert.deepEqual(check(schema, { name: ' Ali ', password: ' secret ' }).value, { name: 'Ali', password: ' secret ' });
+  assert.deepEqual(check(schema, { name: 'Alia', password: '12345' }).errors, {
+    name: 'name must be at most 3 characters',
+    password: 'password must be at least 6 characters'
+  });
+});
+
+test('numbers and booleans accept their string forms from form posts', () => {
+  const schema = { days: v.number({ min: 1, integer: true }), active: v.boolean() };
+  assert.deepEqual(check(schema, { days: '7', active: 'false' }).value, { days: 7, active: false });
+  assert.deepEqual(check(schema, { days: '1.5', active: 'yes' }).errors, {
+    days: 'days must be a whole number',
+    active: 'active must be true or false'
+  });
+  assert.deepEqual(check(schema, { days: 'abc' }).errors, { days: 'days must be a number' });
+  assert.deepEqual(check(schema, { days: 0 }).errors, { days: 'days must be at least 1' });
+});
+
+test('phones are normalized to E.164', () => {
+  const schema = { phone: v.phone() };
+  assert.deepEqual(check(schema, { phone: '0300 1234567' }).value, { phone: '+923001234567' });
+  assert.deepEqual(check(schema, { phone: '+44 20 7946 0958' }).value, { phone: '+442079460958' });
+});
+
+test('calendar dates come back as YYYY-MM-DD in the gym timezone', () => {
+  const schema = { start: v.calendarDate() };
+  assert.deepEqual(check(schema, { start: '2026-02-28' }).value, { start: '2026-02-28' });
+  // 20:00 UTC is already the next day in Karachi (UTC+5)
+  assert.deepEqual(check(schema, { start: '2026-02-28T20:00:00Z' }).value, { start: '2026-03-01' });
+  assert.deepEqual(check(schema, { start: 'soon' }).errors, { start: 'start must be a date (YYYY-MM-DD)' });
+  assert.deepEqual(check(schema, { start: 20260228 }).errors, { start: 'start must be a date (YYYY-MM-DD)' });
+});
+
+test('arrays check each item and name the one that failed', () => {
+  const schema = { scopes: v.array(v.oneOf(['search', 'checkin']), { min: 1 }) };
+  assert.deepEqual(check(schema, { scopes: ['search'] }).value, { scopes: ['search'] });
+  assert.deepEqual(check(schema, { scopes: [] }).errors, { scopes: 'scopes must have at least 1 item(s)' });
+  assert.deepEqual(check(schema, { scopes: ['search', 'admin'] }).errors, {
+    scopes: 'scopes item 2 must be one of: search, checkin'
+  });
+  assert.deepEqual(check(schema, { scopes: 'search' }).errors, { scopes: 'scopes must be a list' });
+});
+
+test('usernames, languages and timezones', () => {
+  const schema = { username: v.username(), language: v.language(), timezone: v.timeZone() };
+  assert.equal(check(schema, { username: 'front.desk_1', language: 'ur', timezone: 'Asia/Karachi' }).errors, null);
+  assert.deepEqual(Object.keys(check(schema, { username: 'front desk', language: 'urdu', timezone: 'Mars/Base' }).errors), [
+    'username',
+    'language',
+    'timezone'
+  ]);
+});
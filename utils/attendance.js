@@ -0,0 +1,65 @@
+const Attendance = require('../models/Attendance');
+const closeStaleSessions = require('../jobs/closeStaleSessions');
+const { getSettings } = require('./settings');
+const { getMembershipStatus } = require('./membership');
+const { markReturned } = require('./inactivity');
+
+// Open a session for the client, applying the gym's membership rules.
+// Returns { attendance, membership, warning, alreadyCheckedIn } or
+// { blocked: message, membership } when the member may not check in.
+const timeIn = async (client) => {
+  // Close yesterday's forgotten session first so it isn't mistaken for the current one
+  await closeStaleSessions({ client: client._id });
+
+  // Time-in is idempotent: while a session is open, return it instead of opening another
+  const settings = await getSettings();
+  const membership = getMembershipStatus(client, settings);
+  const openSession = await Attendance.findOne({ client: client._id, timeOut: null });
+  if (openSession) {
+    return { attendance: openSession, membership, warning: null, alreadyCheckedIn: true };
+  }
+
+  // Expired or frozen members are refused or flagged, depending on the gym's settings
+  let warning = null;
+  if (membership.status === 'expired') {
+    if (settings.expiredCheckIn === 'block') {
+      return { blocked: 'Membership expired', membership };
+    }
+    warning = 'Membership expired';
+  } else if (membership.status === 'frozen') {
+    if (settings.frozenCheckIn === 'block') {
+      return { blocked: 'Membership is frozen', membership };
+    }
+    warning = 'Membership is frozen';
+  } else if (membership.status === 'grace') {
+    warning = 'Membership fee is overdue (grace period)';
+  }
+
+  // Upsert on the open session. Two taps at the same moment can both miss it and
+  // insert; the unique open-session index (models/Attendance.js) lets only one through
+  const now = new Date();
+  let result;
+  try {
+    result = await Attendance.findOneAndUpdate(
+      { client: client._id, timeOut: null },
+      { $setOnInsert: { timeIn: now, date: now } },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const attendance = await Attendance.findOne({ client: client._id, timeOut: null });
+    return { attendance, membership, warning, alreadyCheckedIn: true };
+  }
+  const alreadyCheckedIn = result.lastErrorObject?.updatedExisting === true;
+  if (!alreadyCheckedIn) await markReturned(client._id, result.value);
+  return { attendance: result.value, membership, warning, alreadyCheckedIn };
+};
+
+// Close the client's open session; resolves to null when nothing is open
+const timeOut = (clientId) => Attendance.findOneAndUpdate(
+  { client: clientId, timeOut: null },
+  { timeOut: new Date() },
+  { new: true }
+);
+
+module.exports = { timeIn, timeOut };
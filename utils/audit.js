@@ -0,0 +1,63 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never compared or stored: bookkeeping fields, secrets and derived search data
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'password', 'tokenVersion', 'search'];
+
+// Plain copy of a document without photo bytes or populated refs
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  if (plain.photo && typeof plain.photo === 'object') {
+    plain.photo = { ...plain.photo };
+    delete plain.photo.data;
+  }
+  return plain;
+};
+
+// { field: { before, after } } for each top-level field that differs
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { before: from === undefined ? null : from, after: to === undefined ? null : to };
+    }
+  }
+  return changes;
+};
+
+const actorFrom = (req) => {
+  if (req.device) return { type: 'device', id: req.device._id, name: req.device.name };
+  if (req.user) return { type: 'user', id: req.user._id, name: req.user.username, role: req.user.role };
+  return { type: 'system' };
+};
+
+// Record one change, or several (pass an array). `before` is null for
+// creations and `after` is null for deletions. A failed write is logged, not
+// thrown: the change itself has already happened.
+const audit = async (req, entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  if (list.length === 0) return;
+
+  const actor = actorFrom(req);
+  const logs = list.map(({ action, entity, entityId, client, before, after, details }) => ({
+    actor,
+    action,
+    entity: { type: entity, id: entityId },
+    client,
+    changes: diff(snapshot(before), snapshot(after)),
+    details,
+    ip: req.ip
+  }));
+
+  try {
+    await AuditLog.insertMany(logs);
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+module.exports = { audit, diff, snapshot };
@@ -0,0 +1,216 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const { getBackupStorage } = require('../storage');
+const { clearSettingsCache } = require('./settings');
+const { clearTemplateCache } = require('./templates');
+
+const { EJSON } = mongoose.mongo.BSON;
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT = 'gym-backup';
+const VERSION = 1;
+const KEEP_BACKUPS = parseInt(process.env.BACKUP_KEEP, 10) || 7;
+const NAME_PATTERN = /^backup-[0-9TZ-]+\.ejson\.gz$/;
+// How many changed ids a restore diff lists per collection
+const DIFF_SAMPLE = 20;
+
+// Collections in a backup. Login secrets are never written: users are saved
+// without password hash or token version, and refresh tokens, kiosk devices
+// and job history are left out.
+const COLLECTIONS = {
+  clients: require('../models/Client'),
+  attendances: require('../models/Attendance'),
+  trainers: require('../models/Trainer'),
+  plans: require('../models/Plan'),
+  payments: require('../models/Payment'),
+  freezes: require('../models/Freeze'),
+  settings: require('../models/Setting'),
+  messagetemplates: require('../models/MessageTemplate'),
+  notifications: require('../models/Notification'),
+  winbacks: require('../models/WinBack'),
+  auditlogs: require('../models/AuditLog'),
+  users: require('../models/User')
+};
+const OMIT_FIELDS = { users: ['password', 'tokenVersion'] };
+// Restore never deletes from these: accounts (so nobody gets locked out) and
+// the audit trail (so restoring an old backup can't wipe it)
+const NEVER_DELETE = ['users', 'auditlogs'];
+// Only missing documents are added back, existing ones are never rewritten:
+// audit entries, and accounts (restoring an old `active`/`role`/`trainer` would
+// re-enable or re-promote someone who was disabled or demoted since the backup)
+const APPEND_ONLY = ['users', 'auditlogs'];
+
+const badRequest = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Raw documents with BSON types kept (Int32 vs Double, ObjectId, Date)
+const readCollection = (name) => {
+  const projection = Object.fromEntries((OMIT_FIELDS[name] || []).map(field => [field, 0]));
+  return COLLECTIONS[name].collection.find({}, { projection, promoteValues: false }).toArray();
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+const listBackups = async () => {
+  const objects = await getBackupStorage().list('backup-');
+  return objects
+    .filter(object => NAME_PATTERN.test(object.key))
+    .map(object => ({ name: object.key, size: object.size, createdAt: object.lastModified }))
+    .sort((a, b) => b.name.localeCompare(a.name));
+};
+
+// Write a gzipped Extended JSON dump to the backup storage and keep the newest KEEP_BACKUPS
+const createBackup = async () => {
+  const collections = {};
+  const counts = {};
+  for (const name of Object.keys(COLLECTIONS)) {
+    collections[name] = await readCollection(name);
+    counts[name] = collections[name].length;
+  }
+
+  const createdAt = new Date();
+  const body = EJSON.stringify({ format: FORMAT, version: VERSION, createdAt, collections }, { relaxed: false });
+  const buffer = await gzip(body);
+  const name = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}.ejson.gz`;
+
+  const storage = getBackupStorage();
+  await storage.put(name, buffer, 'application/gzip');
+  console.log(`Backup created: ${name}`);
+
+  const backups = await listBackups();
+  for (const old of backups.slice(KEEP_BACKUPS)) {
+    await storage.remove(old.name);
+  }
+
+  return { name, size: buffer.length, counts };
+};
+
+// Returns { body, size, lastModified } for downloading, or null
+const getBackupFile = (name) => {
+  if (!NAME_PATTERN.test(name)) throw badRequest('Invalid backup name');
+  return getBackupStorage().get(name);
+};
+
+const readBackup = async (name) => {
+  const file = await getBackupFile(name);
+  if (!file) throw badRequest('Backup not found', 404);
+
+  const backup = EJSON.parse((await gunzip(await streamToBuffer(file.body))).toString('utf8'), { relaxed: false });
+  if (backup.format !== FORMAT || Number(backup.version) !== VERSION) {
+    throw badRequest('Not a backup this server can restore');
+  }
+  return backup;
+};
+
+const idKey = (doc) => EJSON.stringify(doc._id, { relaxed: false });
+
+// What restoring `docs` into collection `name` would change
+const diffCollection = async (name, docs) => {
+  const current = new Map((await readCollection(name)).map(doc => [idKey(doc), doc]));
+  const incoming = new Map(docs.map(doc => [idKey(doc), doc]));
+
+  const insert = [];
+  const update = [];
+  let unchanged = 0;
+  for (const [key, doc] of incoming) {
+    const existing = current.get(key);
+    if (!existing) insert.push(doc);
+    else if (!APPEND_ONLY.includes(name) && EJSON.stringify(existing, { relaxed: false }) !== EJSON.stringify(doc, { relaxed: false })) update.push(doc);
+    else unchanged += 1;
+  }
+  const remove = NEVER_DELETE.includes(name)
+    ? []
+    : [...current.keys()].filter(key => !incoming.has(key)).map(key => current.get(key));
+
+  return { insert, update, remove, unchanged, inBackup: docs.length, inDatabase: current.size };
+};
+
+const summarizeDiff = ({ insert, update, remove, unchanged, inBackup, inDatabase }) => ({
+  inBackup,
+  inDatabase,
+  insert: insert.length,
+  update: update.length,
+  delete: remove.length,
+  unchanged,
+  sample: {
+    insert: insert.slice(0, DIFF_SAMPLE).map(doc => doc._id),
+    update: update.slice(0, DIFF_SAMPLE).map(doc => doc._id),
+    delete: remove.slice(0, DIFF_SAMPLE).map(doc => doc._id)
+  }
+});
+
+const applyDiff = async (name, { insert, update, remove }) => {
+  const collection = COLLECTIONS[name].collection;
+  const operations = [];
+
+  if (name === 'users') {
+    // Backups hold no password hashes, so restored accounts stay disabled
+    // until an owner sets a new password
+    for (const doc of insert) {
+      operations.push({ insertOne: { document: { ...doc, active: false } } });
+    }
+  } else {
+    for (const doc of [...insert, ...update]) {
+      operations.push({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } });
+    }
+    if (remove.length > 0) {
+      operations.push({ deleteMany: { filter: { _id: { $in: remove.map(doc => doc._id) } } } });
+    }
+  }
+
+  for (let i = 0; i < operations.length; i += 1000) {
+    await collection.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+  }
+};
+
+// Restore some or all collections from a backup. With dryRun (the default)
+// nothing is written and the per-collection diff is returned. A real restore
+// first takes a fresh backup so it can be undone.
+const restoreBackup = async (name, { collections, dryRun = true } = {}) => {
+  const backup = await readBackup(name);
+  const available = Object.keys(backup.collections).filter(collection => COLLECTIONS[collection]);
+  const selected = collections && collections.length > 0 ? collections : available;
+
+  const missing = selected.filter(collection => !available.includes(collection));
+  if (missing.length > 0) {
+    throw badRequest(`Not in this backup: ${missing.join(', ')}`);
+  }
+
+  const diffs = {};
+  for (const collection of selected) {
+    diffs[collection] = await diffCollection(collection, backup.collections[collection]);
+  }
+
+  const result = {
+    backup: name,
+    backupCreatedAt: backup.createdAt,
+    dryRun,
+    collections: Object.fromEntries(Object.entries(diffs).map(([collection, diff]) => [collection, summarizeDiff(diff)]))
+  };
+  if (dryRun) return result;
+
+  result.safetyBackup = (await createBackup()).name;
+  for (const [collection, diff] of Object.entries(diffs)) {
+    await applyDiff(collection, diff);
+  }
+  clearSettingsCache();
+  clearTemplateCache();
+  return result;
+};
+
+module.exports = {
+  COLLECTIONS,
+  createBackup,
+  listBackups,
+  getBackupFile,
+  restoreBackup
+};
@@ -0,0 +1,52 @@
+const { DAY_MS } = require('./time');
+
+// All helpers here work on calendar dates (UTC midnight, see utils/time.js)
+const PLAN_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Add whole months, clamping to the end of shorter months instead of overflowing
+// (Jan 31 + 1 month = Feb 28/29, not Mar 3). anchorDay keeps the original billing
+// day so Jan 31 -> Feb 28 -> Mar 31 rather than drifting to the 28th.
+const addMonths = (date, months, anchorDay = date.getUTCDate()) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const targetYear = year + Math.floor(month / 12);
+  const targetMonth = ((month % 12) + 12) % 12;
+  const day = Math.min(anchorDay, daysInMonth(targetYear, targetMonth));
+  const result = new Date(date);
+  result.setUTCFullYear(targetYear, targetMonth, day);
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+// End of the period a plan covers when it starts on `start`
+const addPlanPeriod = (start, plan, anchorDay) => {
+  if (plan.type === 'custom') {
+    return addDays(start, plan.durationDays);
+  }
+  return addMonths(start, PLAN_MONTHS[plan.type] || 1, anchorDay);
+};
+
+// Clients created before payments existed only have feeSubmissionDate (monthly cycle)
+const getNextDueDate = (client) => {
+  if (client.nextDueDate) return new Date(client.nextDueDate);
+  if (client.feeSubmissionDate) return addMonths(new Date(client.feeSubmissionDate), 1);
+  return null;
+};
+
+// Whole days from calendar date `from` until `date`; negative when overdue
+const daysUntil = (date, from) => {
+  const start = new Date(from);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setUTCHours(0, 0, 0, 0);
+  return Math.round((end - start) / DAY_MS);
+};
+
+module.exports = { addMonths, addDays, addPlanPeriod, getNextDueDate, daysUntil };
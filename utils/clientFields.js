@@ -0,0 +1,19 @@
+const v = require('./validation');
+
+// Client fields staff may set, shared by the client routes and CSV import.
+// Photo, due dates and search data are managed by the server.
+const clientFields = {
+  name: v.string({ required: true, max: 100 }),
+  phone: v.phone({ required: true }),
+  address: v.string({ required: true, max: 300 }),
+  email: v.email({ nullable: true }),
+  preferredChannel: v.oneOf(['whatsapp', 'sms', 'email']),
+  language: v.language({ nullable: true }),
+  trainer: v.objectId({ nullable: true }),
+  plan: v.objectId({ nullable: true })
+};
+
+// Legacy fee date only seeds the due date of new clients (see models/Client.js)
+const createClientSchema = { ...clientFields, feeSubmissionDate: v.calendarDate() };
+
+module.exports = { clientFields, createClientSchema };
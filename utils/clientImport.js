@@ -0,0 +1,105 @@
+const { parse } = require('csv-parse/sync');
+const Client = require('../models/Client');
+const Trainer = require('../models/Trainer');
+const Plan = require('../models/Plan');
+const { parseCalendarDate } = require('./time');
+const { phoneSearchKey } = require('./phone');
+const { validateObject } = require('./validation');
+const { createClientSchema } = require('./clientFields');
+
+// CSV header (lowercased, spaces/underscores removed) -> Client field
+const COLUMN_ALIASES = {
+  name: 'name',
+  fullname: 'name',
+  membername: 'name',
+  phone: 'phone',
+  mobile: 'phone',
+  phonenumber: 'phone',
+  contact: 'phone',
+  address: 'address',
+  trainer: 'trainer',
+  trainername: 'trainer',
+  plan: 'plan',
+  planname: 'plan',
+  feesubmissiondate: 'feeSubmissionDate',
+  feedate: 'feeSubmissionDate',
+  lastpaid: 'feeSubmissionDate',
+  lastpayment: 'feeSubmissionDate'
+};
+
+// Columns checked with the same rules as POST /api/clients; trainer and plan
+// are names here and are resolved to ids below
+const importSchema = Object.fromEntries(
+  ['name', 'phone', 'address', 'feeSubmissionDate'].map(field => [field, createClientSchema[field]])
+);
+
+// Unknown columns map to false, which tells csv-parse to drop them
+const normalizeHeader = (header) => COLUMN_ALIASES[header.toLowerCase().replace(/[\s_-]/g, '')] || false;
+
+// Returns [{ line, record }]. `line` is where the row ends in the file (header
+// is line 1), correct even with skipped blank lines or multi-line quoted cells
+const parseClientCsv = (buffer) => parse(buffer, {
+  bom: true,
+  columns: (headers) => headers.map(normalizeHeader),
+  skip_empty_lines: true,
+  trim: true,
+  info: true
+}).map(({ record, info }) => ({ line: info.lines, record }));
+
+// Validate parsed rows with the same field rules as POST /api/clients, resolve trainer/plan names to ids
+// and flag duplicate phones (in the database or earlier in the file).
+// Returns one entry per row: { row, data, errors }, row being the file line
+const validateClientRows = async (rows, timezone) => {
+  const [trainers, plans, existing] = await Promise.all([
+    Trainer.find().select('name').lean(),
+    Plan.find({ active: true }).select('name').lean(),
+    Client.find().select('name phone').lean()
+  ]);
+  const trainersByName = new Map(trainers.map(t => [t.name.toLowerCase(), t._id]));
+  const plansByName = new Map(plans.map(p => [p.name.toLowerCase(), p._id]));
+  // Older clients may have phones saved before normalization, so compare search keys
+  const existingByPhone = new Map(existing.map(c => [phoneSearchKey(c.phone), c]));
+  const seenInFile = new Map();
+
+  return Promise.all(rows.map(async ({ line: row, record }) => {
+    const { value: data, errors: fieldErrors } = validateObject(importSchema, record, { timezone });
+    const errors = fieldErrors ? Object.values(fieldErrors) : [];
+    if (data.feeSubmissionDate) data.feeSubmissionDate = parseCalendarDate(data.feeSubmissionDate, timezone);
+
+    if (record.trainer) {
+      const trainerId = trainersByName.get(record.trainer.toLowerCase());
+      if (trainerId) data.trainer = trainerId;
+      else errors.push(`Unknown trainer "${record.trainer}"`);
+    }
+
+    if (record.plan) {
+      const planId = plansByName.get(record.plan.toLowerCase());
+      if (planId) data.plan = planId;
+      else errors.push(`Unknown plan "${record.plan}"`);
+    }
+
+    // Phones are already in E.164 here
+    if (data.phone) {
+      const key = phoneSearchKey(data.phone);
+      const duplicate = existingByPhone.get(key);
+      if (duplicate) {
+        errors.push(`Duplicate phone: already registered to ${duplicate.name}`);
+      } else if (seenInFile.has(key)) {
+        errors.push(`Duplicate phone: same as row ${seenInFile.get(key)}`);
+      } else {
+        seenInFile.set(key, row);
+      }
+    }
+
+    if (errors.length === 0) {
+      const validationError = new Client(data).validateSync();
+      if (validationError) {
+        errors.push(...Object.values(validationError.errors).map(e => e.message));
+      }
+    }
+
+    return { row, data, errors };
+  }));
+};
+
+module.exports = { parseClientCsv, validateClientRows };
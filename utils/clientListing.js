@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Client = require('../models/Client');
+const { DAY_MS, gymToday } = require('./time');
+const { escapeRegex, normalizeText } = require('./search');
+const { phoneSearchKey } = require('./phone');
+
+const SORT_FIELDS = {
+  name: 'name',
+  joined: 'createdAt',
+  dueDate: 'dueDate'
+};
+const STATUSES = ['active', 'grace', 'expired', 'frozen'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+// Phone search starts once this many digits are typed
+const MIN_PHONE_DIGITS = 3;
+
+// Clients without a search field (saved before search existed, or restored
+// from an old backup) until the backfill-search job reaches them. Checked at
+// most every few minutes so normal searches stay on the indexes.
+const UNINDEXED_CHECK_MS = 10 * 60 * 1000;
+let unindexed = { exists: true, checkedAt: 0 };
+
+const hasUnindexedClients = async () => {
+  if (Date.now() - unindexed.checkedAt > UNINDEXED_CHECK_MS) {
+    unindexed = { exists: Boolean(await Client.exists({ search: { $exists: false } })), checkedAt: Date.now() };
+  }
+  return unindexed.exists;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const positiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw badRequest(`${name} must be a whole number`);
+  return number;
+};
+
+// Due date and freeze state computed in the database, mirroring
+// getNextDueDate() and getMembershipStatus()
+const membershipStages = (today) => [
+  {
+    $addFields: {
+      dueDate: {
+        $dateTrunc: {
+          date: {
+            $ifNull: [
+              '$nextDueDate',
+              {
+                $cond: [
+                  { $ifNull: ['$feeSubmissionDate', false] },
+                  { $dateAdd: { startDate: '$feeSubmissionDate', unit: 'month', amount: 1 } },
+                  null
+                ]
+              }
+            ]
+          },
+          unit: 'day'
+        }
+      },
+      isFrozen: {
+        $and: [
+          { $lte: ['$freeze.start', today] },
+          { $gt: ['$freeze.end', today] }
+        ]
+      }
+    }
+  }
+];
+
+const statusMatch = (status, today, graceDays) => {
+  const graceStart = new Date(today.getTime() - graceDays * DAY_MS);
+  switch (status) {
+    case 'frozen':
+      return { isFrozen: true };
+    case 'active':
+      return { isFrozen: false, dueDate: { $gt: today } };
+    case 'grace':
+      return { isFrozen: false, dueDate: { $lte: today, $gt: graceStart } };
+    default:
+      return { isFrozen: false, $or: [{ dueDate: null }, { dueDate: { $lte: graceStart } }] };
+  }
+};
+
+// One page of clients for a listing endpoint. `baseFilter` limits what the
+// caller may see; the rest comes from the query string:
+//   ?page=1&limit=50 (max 200)
+//   ?sort=name|joined|dueDate&order=asc|desc
+//   ?trainer=<id>|none  ?status=active|grace|expired|frozen  ?dueWithin=<days>
+// Photo data is never returned.
+const listClients = async (baseFilter, query, settings) => {
+  const page = Math.max(positiveInt(query.page, 'page', 1), 1);
+  const limit = Math.min(Math.max(positiveInt(query.limit, 'limit', DEFAULT_LIMIT), 1), MAX_LIMIT);
+
+  const sortBy = query.sort || 'name';
+  if (!SORT_FIELDS[sortBy]) {
+    throw badRequest(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  const direction = query.order === 'desc' ? -1 : 1;
+
+  const today = gymToday(settings.timezone);
+  const filters = [];
+  if (query.trainer === 'none') {
+    filters.push({ trainer: null });
+  } else if (query.trainer) {
+    if (!mongoose.isValidObjectId(query.trainer)) throw badRequest('Invalid trainer id');
+    filters.push({ trainer: new mongoose.Types.ObjectId(query.trainer) });
+  }
+  if (query.status) {
+    if (!STATUSES.includes(query.status)) {
+      throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    filters.push(statusMatch(query.status, today, settings.graceDays));
+  }
+  if (query.dueWithin !== undefined) {
+    const days = positiveInt(query.dueWithin, 'dueWithin');
+    filters.push({ dueDate: { $gte: today, $lte: new Date(today.getTime() + days * DAY_MS) } });
+  }
+
+  const [result] = await Client.aggregate([
+    { $match: baseFilter },
+    // Drop photo data before anything else so it isn't carried through the sort
+    { $project: { 'photo.data': 0, search: 0 } },
+    ...membershipStages(today),
+    ...(filters.length > 0 ? [{ $match: { $and: filters } }] : []),
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        clients: [
+          { $sort: { [SORT_FIELDS[sortBy]]: direction, _id: direction } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { dueDate: 0, isFrozen: 0 } }
+        ]
+      }
+    }
+  ]);
+
+  const clients = await Client.populate(result.clients.map(doc => Client.hydrate(doc)), { path: 'trainer' });
+  const total = result.total[0] ? result.total[0].count : 0;
+  return { clients, total, page, limit, pages: Math.ceil(total / limit) };
+};
+
+// Listings stay plain arrays (existing frontends and kiosks expect that);
+// paging info goes in response headers
+const pagingHeaders = ({ total, page, limit, pages }) => ({
+  'X-Total-Count': String(total),
+  'X-Page': String(page),
+  'X-Per-Page': String(limit),
+  'X-Total-Pages': String(pages)
+});
+
+// Clients whose name, phone or address starts with `text` (address words all
+// have to match). Best matches come first: exact name or phone, then name
+// prefix, a word of the name, phone prefix and finally address. At most
+// `limit` results (default 20, max 50).
+const searchClients = async (baseFilter, text, { limit } = {}) => {
+  const term = normalizeText(text);
+  if (!term) return [];
+  const cap = Math.min(Math.max(positiveInt(limit, 'limit', SEARCH_LIMIT), 1), MAX_SEARCH_LIMIT);
+
+  const prefix = new RegExp(`^${escapeRegex(term)}`);
+  const words = term.split(' ').map(word => new RegExp(`^${escapeRegex(word)}`));
+  const conditions = [
+    { 'search.name': prefix },
+    { 'search.address': { $all: words } }
+  ];
+
+  // Only text that looks like a phone number is matched against phones
+  const phone = /^[\d\s+()-]+$/.test(term) ? phoneSearchKey(text) : '';
+  if (phone.length >= MIN_PHONE_DIGITS) {
+    conditions.push({ 'search.phone': new RegExp(`^${phone}`) });
+  }
+  // Unindexed clients are matched on their raw name and phone instead. This
+  // clause scans the collection, so it is only added while such clients exist.
+  if (await hasUnindexedClients()) {
+    const legacy = new RegExp(escapeRegex(String(text).trim()), 'i');
+    conditions.push({ search: { $exists: false }, $or: [{ name: legacy }, { phone: legacy }] });
+  }
+
+  const fullName = { $arrayElemAt: [{ $ifNull: ['$search.name', []] }, 0] };
+  const phonePrefix = new RegExp(`^${phone}`);
+  const ranks = [
+    { case: { $eq: [fullName, term] }, then: 0 },
+    ...(phone ? [{ case: { $eq: ['$search.phone', phone] }, then: 0 }] : []),
+    { case: { $regexMatch: { input: { $ifNull: [fullName, ''] }, regex: prefix } }, then: 1 },
+    {
+      case: {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ['$search.name', []] },
+            in: { $regexMatch: { input: '$$this', regex: prefix } }
+          }
+        }]
+      },
+      then: 2
+    },
+    ...(phone ? [{ case: { $regexMatch: { input: { $ifNull: ['$search.phone', ''] }, regex: phonePrefix } }, then: 3 }] : [])
+  ];
+
+  const clients = await Client.aggregate([
+    { $match: { $and: [baseFilter, { $or: conditions }] } },
+    { $project: { 'photo.data': 0 } },
+    { $addFields: { rank: { $switch: { branches: ranks, default: 4 } } } },
+    { $sort: { rank: 1, name: 1, _id: 1 } },
+    { $limit: cap },
+    { $project: { search: 0, rank: 0 } }
+  ]);
+
+  return Client.populate(clients.map(doc => Client.hydrate(doc)), { path: 'trainer' });
+};
+
+module.exports = { listClients, pagingHeaders, searchClients };
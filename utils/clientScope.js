@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/roles');
+
+// Users without clients:all (trainers by default) only see clients assigned to their linked trainer
+const isScoped = (user) => !hasPermission(user.role, 'clients:all');
+
+// Mongo filter limiting a Client query to what the user may see
+const clientFilter = (user) => {
+  if (!isScoped(user)) return {};
+  // A scoped account that is not linked to a trainer sees nobody
+  if (!user.trainer) return { _id: { $in: [] } };
+  return { trainer: new mongoose.Types.ObjectId(user.trainer.toString()) };
+};
+
+module.exports = { isScoped, clientFilter };
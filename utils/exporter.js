@@ -0,0 +1,55 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Text starting with these is run as a formula by Excel and friends (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+// ...except plain numbers and phones ("+923001234567"), which can't call functions
+const NUMBER_OR_PHONE = /^[+-]?[\d\s().-]+$/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !NUMBER_OR_PHONE.test(text)) {
+    // A leading quote makes spreadsheets show the cell as plain text
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write to the response, waiting for it to drain so we never buffer the whole export
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) await once(res, 'drain');
+};
+
+// Stream a Mongoose cursor to the response as CSV or XLSX, one row at a time.
+// columns: [{ header, key, width? }]; toRow(doc) returns an object keyed by column key.
+const streamExport = async (res, { format, filename, sheetName, columns, cursor, toRow }) => {
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 20 }));
+    for await (const doc of cursor) {
+      sheet.addRow(toRow(doc)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  // BOM so Excel opens UTF-8 (e.g. Urdu names) correctly
+  await write(res, '\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+  for await (const doc of cursor) {
+    const row = toRow(doc);
+    await write(res, columns.map(column => csvCell(row[column.key])).join(',') + '\r\n');
+  }
+  res.end();
+};
+
+module.exports = { FORMATS, streamExport };
@@ -0,0 +1,34 @@
+const sharp = require('sharp');
+
+// Sizes every uploaded photo is rendered at (bounding box in px)
+const PHOTO_SIZES = {
+  profile: { width: 800, height: 800, fit: 'inside' },
+  thumb: { width: 160, height: 160, fit: 'cover' }
+};
+const PHOTO_FORMATS = ['jpeg', 'webp'];
+
+// Normalize an uploaded image: apply the EXIF orientation, drop all metadata
+// (EXIF, GPS, ICC — sharp keeps none unless asked), and render every
+// size/format combination. Returns [{ size, format, contentType, buffer }].
+const processPhoto = async (input) => {
+  const source = sharp(input, { failOn: 'error' }).rotate();
+  const variants = [];
+
+  try {
+    for (const [size, resize] of Object.entries(PHOTO_SIZES)) {
+      const resized = source.clone().resize({ ...resize, withoutEnlargement: true });
+      for (const format of PHOTO_FORMATS) {
+        const buffer = format === 'webp'
+          ? await resized.clone().webp({ quality: 80 }).toBuffer()
+          : await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true }).toBuffer();
+        variants.push({ size, format, contentType: `image/${format}`, buffer });
+      }
+    }
+  } catch (error) {
+    // Corrupt or unsupported files are the uploader's problem, not a server error
+    throw Object.assign(new Error(`Could not process image: ${error.message}`), { status: 400 });
+  }
+  return variants;
+};
+
+module.exports = { PHOTO_SIZES, PHOTO_FORMATS, processPhoto };
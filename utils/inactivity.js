@@ -0,0 +1,48 @@
+const Attendance = require('../models/Attendance');
+const Client = require('../models/Client');
+const WinBack = require('../models/WinBack');
+const { getMembershipStatus } = require('./membership');
+const { DAY_MS } = require('./time');
+
+// Clients who have not checked in for at least `days` days. Members who never
+// came count from the day they joined. Frozen members are left out unless asked for.
+const findInactiveClients = async ({ days, settings, filter = {}, includeFrozen = false, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+  const clients = await Client.find({ ...filter, createdAt: { $lte: cutoff } })
+    .select('name phone email preferredChannel language trainer plan nextDueDate feeSubmissionDate freeze createdAt')
+    .populate('trainer', 'name')
+    .populate('plan', 'name price');
+  if (clients.length === 0) return [];
+
+  const lastVisits = await Attendance.aggregate([
+    { $match: { client: { $in: clients.map(client => client._id) } } },
+    { $group: { _id: '$client', lastVisit: { $max: '$timeIn' } } }
+  ]);
+  const lastVisitByClient = new Map(lastVisits.map(row => [row._id.toString(), row.lastVisit]));
+
+  const inactive = [];
+  for (const client of clients) {
+    const lastVisit = lastVisitByClient.get(client._id.toString()) || null;
+    const since = lastVisit || client.createdAt;
+    if (since > cutoff) continue;
+
+    const { status } = getMembershipStatus(client, settings, now);
+    if (status === 'frozen' && !includeFrozen) continue;
+
+    inactive.push({
+      client,
+      lastVisit,
+      daysAbsent: Math.floor((now - since) / DAY_MS),
+      membershipStatus: status
+    });
+  }
+  return inactive.sort((a, b) => b.daysAbsent - a.daysAbsent);
+};
+
+// Called on every new check-in: closes any win-back still waiting for the member
+const markReturned = (clientId, attendance) => WinBack.updateMany(
+  { client: clientId, returnedAt: null, sentAt: { $lte: attendance.timeIn } },
+  { returnedAt: attendance.timeIn, returnAttendance: attendance._id }
+);
+
+module.exports = { findInactiveClients, markReturned };
@@ -0,0 +1,53 @@
+const JobRun = require('../models/JobRun');
+const { getSettings } = require('./settings');
+const { gymToday } = require('./time');
+
+// A daily run still "running" after this long is assumed dead (e.g. a
+// serverless function that hit its time limit) and may be retried
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+const releaseStaleLock = async (lock) => {
+  await JobRun.updateOne(
+    { lock, status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+    { $set: { status: 'failed', error: 'Run did not finish', finishedAt: new Date() }, $unset: { lock: 1 } }
+  );
+};
+
+// Run a job and record it. Daily jobs run at most once per gym day: a second
+// call while one is running or after one succeeded is recorded as skipped.
+const runJob = async (job, handler, { daily = false, trigger = 'manual' } = {}) => {
+  const settings = await getSettings();
+  const day = gymToday(settings.timezone).toISOString().slice(0, 10);
+  const lock = daily ? `${job}:${day}` : undefined;
+
+  let run;
+  try {
+    if (lock) await releaseStaleLock(lock);
+    run = await JobRun.create({ job, day, lock, trigger });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const existing = await JobRun.findOne({ lock });
+    return JobRun.create({
+      job,
+      day,
+      trigger,
+      status: 'skipped',
+      finishedAt: new Date(),
+      result: { reason: `Already ${existing ? existing.status : 'ran'} for ${day}`, run: existing?._id }
+    });
+  }
+
+  try {
+    const result = await handler({ day, settings });
+    run.set({ status: 'succeeded', result, finishedAt: new Date() });
+    await run.save();
+    return run;
+  } catch (error) {
+    // Drop the lock so a retry later the same day can run
+    run.set({ status: 'failed', error: error.message, finishedAt: new Date(), lock: undefined });
+    await run.save();
+    throw error;
+  }
+};
+
+module.exports = { runJob };
@@ -0,0 +1,42 @@
+const Client = require('../models/Client');
+const Payment = require('../models/Payment');
+const Freeze = require('../models/Freeze');
+const { addDays, addMonths } = require('./billing');
+
+// Start of the membership period the client is currently in
+const getCurrentPeriodStart = async (client) => {
+  const latest = await Payment.findOne({ client: client._id }).sort({ periodEnd: -1 });
+  if (latest) return latest.periodStart;
+  return client.feeSubmissionDate || client.createdAt;
+};
+
+// Frozen days taken since `since`
+const getFrozenDays = async (clientId, since) => {
+  const freezes = await Freeze.find({ client: clientId, start: { $gte: since } });
+  return freezes.reduce((sum, freeze) => sum + freeze.days, 0);
+};
+
+// Recompute a client's due date from the payment ledger plus any freezes taken
+// during the current period
+const syncClientDueDate = async (clientId) => {
+  const client = await Client.findById(clientId).select('-photo.data');
+  if (!client) return null;
+
+  const latest = await Payment.findOne({ client: clientId }).sort({ periodEnd: -1 });
+  let base;
+  let since;
+  if (latest) {
+    base = latest.periodEnd;
+    since = latest.periodStart;
+    client.plan = latest.plan;
+  } else if (client.feeSubmissionDate) {
+    base = addMonths(client.feeSubmissionDate, 1);
+    since = client.feeSubmissionDate;
+  }
+
+  client.nextDueDate = base ? addDays(base, await getFrozenDays(clientId, since)) : undefined;
+  await client.save();
+  return client;
+};
+
+module.exports = { getCurrentPeriodStart, getFrozenDays, syncClientDueDate };
@@ -0,0 +1,31 @@
+const { getNextDueDate, daysUntil } = require('./billing');
+const { toCalendarDate } = require('./time');
+
+// Computed membership state: 'active', 'grace', 'expired' or 'frozen'
+const getMembershipStatus = (client, settings, now = new Date()) => {
+  const today = toCalendarDate(now, settings.timezone);
+  const dueDate = getNextDueDate(client);
+  const freeze = client.freeze;
+  if (freeze && freeze.start && freeze.end && freeze.start <= today && today < freeze.end) {
+    return { status: 'frozen', dueDate, daysRemaining: dueDate ? daysUntil(dueDate, today) : null, frozenUntil: freeze.end };
+  }
+
+  if (!dueDate) {
+    return { status: 'expired', dueDate: null, daysRemaining: null };
+  }
+
+  const daysRemaining = daysUntil(dueDate, today);
+  let status = 'active';
+  if (daysRemaining <= 0) {
+    status = daysRemaining > -settings.graceDays ? 'grace' : 'expired';
+  }
+  return { status, dueDate, daysRemaining };
+};
+
+// Fields added to client list/detail responses
+const membershipFields = (client, settings) => {
+  const { status, daysRemaining } = getMembershipStatus(client, settings);
+  return { membershipStatus: status, daysRemaining };
+};
+
+module.exports = { getMembershipStatus, membershipFields };
@@ -0,0 +1,33 @@
+const {
+  parsePhoneNumberFromString,
+  getCountryCallingCode,
+  isSupportedCountry
+} = require('libphonenumber-js');
+
+// Country assumed for numbers typed without a "+" country code (ISO 3166 code)
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'PK').toUpperCase();
+if (!isSupportedCountry(DEFAULT_PHONE_COUNTRY)) {
+  throw new Error(`Unknown DEFAULT_PHONE_COUNTRY: ${DEFAULT_PHONE_COUNTRY}`);
+}
+const CALLING_CODE = getCountryCallingCode(DEFAULT_PHONE_COUNTRY);
+
+// E.164 form ("+923001234567"), or null when the input is not a valid number
+const normalizePhone = (value, country = DEFAULT_PHONE_COUNTRY) => {
+  const parsed = parsePhoneNumberFromString(String(value || ''), country);
+  return parsed && parsed.isValid() ? parsed.number : null;
+};
+
+// Digits used to match phones in search, also for partial input: drops "+",
+// "00", the default country's calling code and a trunk "0", so "0300..." and
+// "+92300..." give the same key
+const phoneSearchKey = (phone) => {
+  const text = String(phone || '').trim();
+  let digits = text.replace(/\D/g, '');
+  if (text.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    if (digits.startsWith(CALLING_CODE)) digits = digits.slice(CALLING_CODE.length);
+  }
+  return digits.replace(/^0+/, '');
+};
+
+module.exports = { DEFAULT_PHONE_COUNTRY, normalizePhone, phoneSearchKey };
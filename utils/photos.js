@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const storage = require('../storage');
+const { getJwtSecret } = require('./tokens');
+const { PHOTO_SIZES, PHOTO_FORMATS, processPhoto } = require('./imageProcessing');
+
+const getSecret = () => process.env.PHOTO_URL_SECRET || getJwtSecret();
+
+const sign = (clientId, version) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${clientId}:${version}`)
+  .digest('hex')
+  .slice(0, 32);
+
+// uploadedAt also marks legacy base64 photos when photo.data wasn't selected
+const hasPhoto = (client) => Boolean(client.photo && (client.photo.key || client.photo.data || client.photo.uploadedAt));
+
+// Processed photos are stored as one object per size and format under photo.key
+const variantKey = (key, size, format) => `${key}/${size}.${format === 'jpeg' ? 'jpg' : format}`;
+
+// Changes with every upload; part of the signed URL
+const photoVersion = (client) => (client.photo && client.photo.uploadedAt ? new Date(client.photo.uploadedAt).getTime() : 0);
+
+// The one photo URL used by every router: signed so it works in <img> tags
+// without exposing photos to anyone who merely guesses a client id, and
+// versioned so browsers can cache it forever. size: 'profile' or 'thumb'.
+const photoUrl = (client, size = 'profile') => {
+  if (!hasPhoto(client)) return null;
+  const version = photoVersion(client);
+  const url = `/api/photos/${client._id}?v=${version}&sig=${sign(client._id.toString(), version)}`;
+  return size === 'profile' ? url : `${url}&size=${size}`;
+};
+
+const verifyPhotoSignature = (clientId, version, signature) => {
+  const expected = Buffer.from(sign(clientId, version));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const removeStoredPhoto = async (photo) => {
+  const keys = photo.processed
+    ? Object.keys(PHOTO_SIZES).flatMap(size => PHOTO_FORMATS.map(format => variantKey(photo.key, size, format)))
+    : [photo.key];
+  await Promise.all(keys.map(key => storage.remove(key)));
+};
+
+// Normalize and store an uploaded photo (multer memory file) for the client,
+// replacing the old one. Saves the client.
+const savePhoto = async (client, file) => {
+  const variants = await processPhoto(file.buffer);
+  const key = `clients/${client._id}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await Promise.all(variants.map(variant => (
+    storage.put(variantKey(key, variant.size, variant.format), variant.buffer, variant.contentType)
+  )));
+
+  const oldPhoto = client.photo?.key ? { key: client.photo.key, processed: client.photo.processed } : null;
+  const profile = variants.find(variant => variant.size === 'profile' && variant.format === 'jpeg');
+  client.photo = {
+    key,
+    processed: true,
+    contentType: profile.contentType,
+    size: profile.buffer.length,
+    uploadedAt: new Date()
+  };
+  await client.save();
+
+  if (oldPhoto) {
+    removeStoredPhoto(oldPhoto).catch(error => console.error('Error removing old photo:', error.message));
+  }
+  return client;
+};
+
+// Send the client's photo with ETag/Last-Modified so the browser can revalidate
+// cheaply. Serves WebP to browsers that accept it; ?size=thumb for list views.
+// Falls back to unprocessed objects and not-yet-migrated base64 copies.
+const sendPhoto = async (req, res, client, cacheControl = 'private, max-age=86400') => {
+  if (!client || !hasPhoto(client)) {
+    return res.status(404).json({ error: 'Photo not found' });
+  }
+
+  const photo = client.photo;
+  const size = PHOTO_SIZES[req.query.size] ? req.query.size : 'profile';
+  const format = photo.processed && /image\/webp/.test(req.get('Accept') || '') ? 'webp' : 'jpeg';
+  const key = photo.processed ? variantKey(photo.key, size, format) : photo.key;
+
+  const etagSource = `${key || client._id}:${photo.uploadedAt ? new Date(photo.uploadedAt).getTime() : 0}`;
+  res.set('ETag', `"${crypto.createHash('sha1').update(etagSource).digest('hex').slice(0, 20)}"`);
+  if (photo.uploadedAt) res.set('Last-Modified', new Date(photo.uploadedAt).toUTCString());
+  res.set('Cache-Control', cacheControl);
+  if (photo.processed) res.set('Vary', 'Accept');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (!key) {
+    if (!photo.data) return res.status(404).json({ error: 'Photo not found' });
+    res.set('Content-Type', photo.contentType || 'image/jpeg');
+    return res.send(Buffer.from(photo.data, 'base64'));
+  }
+
+  const object = await storage.get(key);
+  if (!object) {
+    return res.status(404).json({ error: 'Photo not found' });
+  }
+  res.set('Content-Type', photo.processed ? `image/${format}` : (photo.contentType || 'image/jpeg'));
+  if (object.size) res.set('Content-Length', object.size);
+  if (Buffer.isBuffer(object.body)) {
+    return res.send(object.body);
+  }
+  object.body.on('error', error => res.destroy(error));
+  object.body.pipe(res);
+};
+
+module.exports = { hasPhoto, photoVersion, photoUrl, verifyPhotoSignature, savePhoto, sendPhoto, removeStoredPhoto };
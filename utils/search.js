@@ -0,0 +1,31 @@
+const { phoneSearchKey } = require('./phone');
+
+// Client search helpers. Clients keep a precomputed `search` field (see
+// models/Client.js) so lookups are anchored prefix matches on indexed,
+// lowercased values instead of case-insensitive regexes over raw text.
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Values stored in client.search: the whole name plus each of its words
+// (so "kha" finds "Ali Khan"), address words and the phone key
+const searchFields = ({ name, address, phone }) => {
+  const fields = {};
+  if (name !== undefined) {
+    const full = normalizeText(name);
+    fields.name = [...new Set([full, ...full.split(' ')])].filter(Boolean);
+  }
+  if (address !== undefined) {
+    fields.address = [...new Set(normalizeText(address).split(/[\s,.#/-]+/))].filter(Boolean);
+  }
+  if (phone !== undefined) fields.phone = phoneSearchKey(phone);
+  return fields;
+};
+
+module.exports = { escapeRegex, normalizeText, searchFields };
@@ -0,0 +1,34 @@
+const Setting = require('../models/Setting');
+
+// Settings rarely change, so keep them for a minute per instance
+const CACHE_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+const getSettings = async () => {
+  if (cached && Date.now() - cachedAt < CACHE_MS) return cached;
+  cached = await Setting.findOneAndUpdate(
+    { key: 'gym' },
+    { $setOnInsert: { key: 'gym' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+  return cached;
+};
+
+const updateSettings = async (changes) => {
+  cached = await Setting.findOneAndUpdate(
+    { key: 'gym' },
+    changes,
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+  return cached;
+};
+
+// Forget the cached copy (e.g. after a restore wrote the collection directly)
+const clearSettingsCache = () => {
+  cached = null;
+};
+
+module.exports = { getSettings, updateSettings, clearSettingsCache };
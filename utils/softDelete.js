@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+];
+
+// Mongoose plugin: adds deletedAt/deletedBy and hides deleted documents from
+// every query. A query that filters on deletedAt itself (the recycle bin,
+// restore, purge) or passes { withDeleted: true } as an option sees them.
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function () {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,179 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const { getNextDueDate, daysUntil } = require('./billing');
+const { gymToday } = require('./time');
+
+// Values every template can use as {{placeholder}}
+const PLACEHOLDERS = ['name', 'dueDate', 'daysLeft', 'amount', 'planName', 'gymName', 'daysAbsent'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Built-in texts, used until an owner saves their own version
+const DEFAULT_TEMPLATES = {
+  fee_due_7: {
+    description: 'Fee reminder sent 7 days before the due date',
+    translations: {
+      en: {
+        subject: 'Your {{gymName}} fee is due in 7 days',
+        body: 'Hi {{name}}, your gym fee is due in 7 days ({{dueDate}}). Please prepare to pay.'
+      },
+      ur: {
+        subject: '{{gymName}} کی فیس 7 دن میں واجب الادا ہے',
+        body: 'السلام علیکم {{name}}، آپ کی جم فیس 7 دن میں ({{dueDate}}) واجب الادا ہے۔ براہ کرم ادائیگی کی تیاری کر لیں۔'
+      }
+    }
+  },
+  fee_due_3: {
+    description: 'Fee reminder sent 3 days before the due date',
+    translations: {
+      en: {
+        subject: 'Your {{gymName}} fee is due in 3 days',
+        body: 'Hi {{name}}, your gym fee is due in 3 days ({{dueDate}}). Please make the payment soon.'
+      },
+      ur: {
+        subject: '{{gymName}} کی فیس 3 دن میں واجب الادا ہے',
+        body: 'السلام علیکم {{name}}، آپ کی جم فیس 3 دن میں ({{dueDate}}) واجب الادا ہے۔ براہ کرم جلد ادائیگی کریں۔'
+      }
+    }
+  },
+  fee_due_0: {
+    description: 'Fee reminder sent on the due date',
+    translations: {
+      en: {
+        subject: 'Your {{gymName}} fee is due today',
+        body: 'Hi {{name}}, your gym fee is due today. Please pay immediately to avoid any issues.'
+      },
+      ur: {
+        subject: '{{gymName}} کی فیس آج واجب الادا ہے',
+        body: 'السلام علیکم {{name}}، آپ کی جم فیس آج واجب الادا ہے۔ کسی پریشانی سے بچنے کے لیے براہ کرم فوراً ادائیگی کریں۔'
+      }
+    }
+  },
+  win_back: {
+    description: 'Sent to members who have not checked in for a while (daysAbsent is available)',
+    translations: {
+      en: {
+        subject: 'We miss you at {{gymName}}',
+        body: 'Hi {{name}}, we haven\'t seen you at {{gymName}} for {{daysAbsent}} days. We miss you! Drop by this week and get back on track.'
+      },
+      ur: {
+        subject: '{{gymName}} میں ہم آپ کو یاد کر رہے ہیں',
+        body: 'السلام علیکم {{name}}، آپ {{daysAbsent}} دن سے {{gymName}} نہیں آئے۔ ہم آپ کو یاد کر رہے ہیں! اس ہفتے تشریف لائیں اور دوبارہ آغاز کریں۔'
+      }
+    }
+  }
+};
+
+// Saved overrides change rarely, so keep them for a minute per instance
+const CACHE_MS = 60 * 1000;
+let cached = null;
+let cachedAt = 0;
+
+const loadOverrides = async () => {
+  if (cached && Date.now() - cachedAt < CACHE_MS) return cached;
+  const docs = await MessageTemplate.find({}).lean();
+  cached = new Map(docs.map(doc => [doc.key, doc]));
+  cachedAt = Date.now();
+  return cached;
+};
+
+const clearTemplateCache = () => {
+  cached = null;
+};
+
+// Effective template: built-in translations with saved ones layered on top
+const getTemplate = async (key) => {
+  const overrides = await loadOverrides();
+  const defaults = DEFAULT_TEMPLATES[key];
+  const saved = overrides.get(key);
+  if (!defaults && !saved) return null;
+
+  const translations = {};
+  for (const [language, text] of Object.entries(defaults?.translations || {})) {
+    translations[language] = { ...text, custom: false };
+  }
+  for (const text of saved?.translations || []) {
+    translations[text.language] = {
+      subject: text.subject,
+      body: text.body,
+      custom: true,
+      updatedAt: text.updatedAt
+    };
+  }
+  return { key, description: defaults?.description, translations };
+};
+
+const listTemplates = async () => {
+  const overrides = await loadOverrides();
+  const keys = [...new Set([...Object.keys(DEFAULT_TEMPLATES), ...overrides.keys()])].sort();
+  return Promise.all(keys.map(getTemplate));
+};
+
+// Replace {{placeholder}}s; unknown ones are left as written so typos stay visible
+const renderText = (text, vars) => {
+  if (!text) return text;
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  );
+};
+
+const formatDate = (date, language) => {
+  // Calendar dates are stored as UTC midnight
+  const options = { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' };
+  try {
+    return date.toLocaleDateString(language, options);
+  } catch (error) {
+    return date.toLocaleDateString(DEFAULT_LANGUAGE, options);
+  }
+};
+
+const formatAmount = (amount, language) => {
+  try {
+    return amount.toLocaleString(language);
+  } catch (error) {
+    return String(amount);
+  }
+};
+
+// Placeholder values for a client (populate client.plan to get amount/planName)
+const templateVars = (client, settings, language) => {
+  const dueDate = getNextDueDate(client);
+  const plan = client.plan && client.plan.price !== undefined ? client.plan : null;
+  return {
+    name: client.name,
+    dueDate: dueDate ? formatDate(dueDate, language) : '',
+    daysLeft: dueDate ? daysUntil(dueDate, gymToday(settings.timezone)) : '',
+    amount: plan ? formatAmount(plan.price, language) : '',
+    planName: plan ? plan.name : '',
+    gymName: settings.gymName
+  };
+};
+
+// Render a template for a client in the requested language, falling back to
+// the client's language, the gym default and finally English
+const renderTemplate = async (key, client, settings, { language, vars = {} } = {}) => {
+  const template = await getTemplate(key);
+  if (!template) return null;
+
+  const candidates = [language, client.language, settings.defaultLanguage, DEFAULT_LANGUAGE];
+  const chosen = candidates.find(code => code && template.translations[code])
+    || Object.keys(template.translations)[0];
+  const text = template.translations[chosen];
+  const values = { ...templateVars(client, settings, chosen), ...vars };
+
+  return {
+    key,
+    language: chosen,
+    subject: renderText(text.subject, values),
+    message: renderText(text.body, values)
+  };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  getTemplate,
+  listTemplates,
+  renderText,
+  renderTemplate,
+  clearTemplateCache
+};
@@ -0,0 +1,122 @@
+// Day boundaries in the gym's timezone, independent of the server's own TZ
+// (Vercel runs in UTC, the gym may be in Asia/Karachi).
+//
+// Two kinds of dates are used:
+// - instants (timeIn/timeOut, createdAt): real moments in time
+// - calendar dates (due dates, billing periods, freezes): stored as UTC midnight
+//   of the gym-local day, so date math never depends on a timezone
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+// Wall-clock parts of an instant in the given timezone
+const getZonedParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+};
+
+// Instant at which the wall clock in `timeZone` reads the given local time
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Offset at the guessed instant, then correct once more around DST changes
+  const offsetAt = (instant) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+  let result = guess - offsetAt(guess);
+  result = guess - offsetAt(result);
+  return new Date(result);
+};
+
+// Calendar date (UTC midnight) of the gym-local day containing `date`
+const toCalendarDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+const gymToday = (timeZone) => toCalendarDate(new Date(), timeZone);
+
+// Parse user input as a calendar date: "2025-03-31" is taken literally,
+// anything else is read as an instant and mapped to its gym-local day
+const parseCalendarDate = (value, timeZone) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(`${value}T00:00:00Z`);
+  }
+  const date = new Date(value);
+  return isNaN(date) ? date : toCalendarDate(date, timeZone);
+};
+
+// Real instants [start, end) of a calendar date (UTC midnight) in the gym's timezone
+const calendarDayRange = (calendarDate, timeZone) => {
+  const next = new Date(calendarDate.getTime() + DAY_MS);
+  const start = zonedTimeToUtc({
+    year: calendarDate.getUTCFullYear(),
+    month: calendarDate.getUTCMonth() + 1,
+    day: calendarDate.getUTCDate()
+  }, timeZone);
+  const end = zonedTimeToUtc({
+    year: next.getUTCFullYear(),
+    month: next.getUTCMonth() + 1,
+    day: next.getUTCDate()
+  }, timeZone);
+  return { start, end };
+};
+
+// Real instants [start, end) covering the gym-local day containing `date`
+const getDayRange = (date, timeZone) => calendarDayRange(toCalendarDate(date, timeZone), timeZone);
+
+// ?from=&to= query values as an instant range: whole gym-local days, `to` inclusive.
+// Returns null when neither is given; throws a 400 error on bad input.
+const parseDateRange = (from, to, timeZone) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) {
+    const day = parseCalendarDate(from, timeZone);
+    if (isNaN(day)) throw Object.assign(new Error('Invalid from date'), { status: 400 });
+    range.$gte = calendarDayRange(day, timeZone).start;
+  }
+  if (to) {
+    const day = parseCalendarDate(to, timeZone);
+    if (isNaN(day)) throw Object.assign(new Error('Invalid to date'), { status: 400 });
+    range.$lt = calendarDayRange(day, timeZone).end;
+  }
+  return range;
+};
+
+module.exports = {
+  DAY_MS,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toCalendarDate,
+  gymToday,
+  parseCalendarDate,
+  calendarDayRange,
+  getDayRange,
+  parseDateRange
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// JWT_SECRET must be set in production; a fixed secret is only acceptable locally
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+  return 'dev-secret-change-me';
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { sub: user._id.toString(), typ: 'access', username: user.username, role: user.role, tv: user.tokenVersion },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Member cards may share the JWT secret, so the token type must be checked too
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.typ !== 'access') throw new Error('Not an access token');
+  return decoded;
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const issueRefreshToken = async (user) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return token;
+};
+
+// Revoke a refresh token in one atomic write. Resolves to the token document only
+// for the one caller that revoked it, so a token can't be exchanged twice
+const consumeRefreshToken = (token) => RefreshToken.findOneAndUpdate(
+  { tokenHash: hashToken(token || ''), revokedAt: null, expiresAt: { $gt: new Date() } },
+  { revokedAt: new Date() }
+);
+
+const revokeRefreshTokens = (userId) => RefreshToken.updateMany(
+  { user: userId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Member card tokens (QR codes) never expire; bumping Client.cardVersion revokes them
+const getMemberCardSecret = () => process.env.MEMBER_CARD_SECRET || getJwtSecret();
+
+const signMemberToken = (client) => jwt.sign(
+  { sub: client._id.toString(), typ: 'member', cv: client.cardVersion || 0 },
+  getMemberCardSecret()
+);
+
+// Returns { clientId, cardVersion } or throws if the token is forged or not a member card
+const verifyMemberToken = (token) => {
+  const decoded = jwt.verify(token, getMemberCardSecret());
+  if (decoded.typ !== 'member') throw new Error('Not a member card');
+  return { clientId: decoded.sub, cardVersion: decoded.cv };
+};
+
+const issueTokens = async (user) => ({
+  token: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user),
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+module.exports = {
+  getJwtSecret,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueRefreshToken,
+  consumeRefreshToken,
+  revokeRefreshTokens,
+  issueTokens,
+  signMemberToken,
+  verifyMemberToken
+};
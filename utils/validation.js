@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const { normalizePhone } = require('./phone');
+const { parseCalendarDate, isValidTimeZone } = require('./time');
+
+// Field rules for request schemas (see middleware/validate.js). A rule is
+// (value, context) => cleaned value and throws FieldError on bad input.
+// Every rule takes { required, nullable }: nullable lets null through to clear a field.
+class FieldError extends Error {}
+
+const rule = (check, { required = false, nullable = false } = {}) => Object.assign(check, { required, nullable });
+
+const string = ({ min = 0, max = 500, pattern, patternMessage, trim = true, ...options } = {}) => rule((value) => {
+  if (typeof value !== 'string') throw new FieldError('must be text');
+  const text = trim ? value.trim() : value;
+  if (options.required && !text) throw new FieldError('is required');
+  if (text.length < min) throw new FieldError(`must be at least ${min} characters`);
+  if (text.length > max) throw new FieldError(`must be at most ${max} characters`);
+  if (pattern && text && !pattern.test(text)) throw new FieldError(patternMessage || 'has an invalid format');
+  return text;
+}, options);
+
+// Passwords are taken as typed (no trimming); 6 characters matches models/User.js
+const password = (options) => string({ min: 6, max: 128, trim: false, ...options });
+
+// Login names; stored lowercased by models/User.js
+const username = (options) => string({
+  max: 50,
+  pattern: /^[a-z0-9._-]+$/i,
+  patternMessage: 'may only contain letters, digits, ".", "_" and "-"',
+  ...options
+});
+
+// Message language code such as "en" or "ur"
+const language = (options) => string({
+  max: 12,
+  pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i,
+  patternMessage: 'must be a language code such as en or ur',
+  ...options
+});
+
+// Numbers may also arrive as numeric strings (form posts)
+const number = ({ min, max, integer = false, ...options } = {}) => rule((value) => {
+  const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof num !== 'number' || !Number.isFinite(num)) throw new FieldError('must be a number');
+  if (integer && !Number.isInteger(num)) throw new FieldError('must be a whole number');
+  if (min !== undefined && num < min) throw new FieldError(`must be at least ${min}`);
+  if (max !== undefined && num > max) throw new FieldError(`must be at most ${max}`);
+  return num;
+}, options);
+
+const boolean = (options) => rule((value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new FieldError('must be true or false');
+}, options);
+
+const oneOf = (values, options) => rule((value) => {
+  if (!values.includes(value)) throw new FieldError(`must be one of: ${values.join(', ')}`);
+  return value;
+}, options);
+
+const objectId = (options) => rule((value) => {
+  if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) throw new FieldError('must be a valid id');
+  return value;
+}, options);
+
+const email = (options) => rule((value) => {
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) throw new FieldError('must be a valid email address');
+  return text;
+}, options);
+
+// Stored in E.164 ("+923001234567"); numbers without a country code use DEFAULT_PHONE_COUNTRY
+const phone = (options) => rule((value) => {
+  const normalized = typeof value === 'string' || typeof value === 'number' ? normalizePhone(value) : null;
+  if (!normalized) throw new FieldError('must be a valid phone number');
+  return normalized;
+}, options);
+
+const timeZone = (options) => rule((value) => {
+  if (typeof value !== 'string' || !isValidTimeZone(value)) throw new FieldError('must be a timezone such as Asia/Karachi');
+  return value;
+}, options);
+
+// Calendar date in the gym's timezone, passed on as "YYYY-MM-DD"
+const calendarDate = (options) => rule((value, context) => {
+  const date = typeof value === 'string' ? parseCalendarDate(value, context.timezone) : new Date(NaN);
+  if (isNaN(date)) throw new FieldError('must be a date (YYYY-MM-DD)');
+  return date.toISOString().slice(0, 10);
+}, options);
+
+const array = (itemRule, { min = 0, max = 100, ...options } = {}) => rule((value, context) => {
+  if (!Array.isArray(value)) throw new FieldError('must be a list');
+  if (value.length < min) throw new FieldError(`must have at least ${min} item(s)`);
+  if (value.length > max) throw new FieldError(`must have at most ${max} items`);
+  return value.map((item, index) => {
+    try {
+      return itemRule(item, context);
+    } catch (error) {
+      if (error instanceof FieldError) throw new FieldError(`item ${index + 1} ${error.message}`);
+      throw error;
+    }
+  });
+}, options);
+
+// Check `input` against a schema ({ field: rule }). Unknown fields are dropped.
+// With `partial` (updates) required fields may be left out.
+// Returns { value, errors }, errors being { field: message } or null.
+const validateObject = (schema, input, context, { partial = false } = {}) => {
+  const value = {};
+  const errors = {};
+  const body = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+  for (const [field, check] of Object.entries(schema)) {
+    // Forms send "" for untouched inputs: it clears nullable fields and is ignored by optional ones
+    const raw = body[field] === '' && check.nullable ? null : body[field];
+    if (raw === undefined || (raw === '' && !check.required)) {
+      if (check.required && !partial) errors[field] = `${field} is required`;
+      continue;
+    }
+    if (raw === null) {
+      if (check.nullable) value[field] = null;
+      else errors[field] = `${field} ${check.required ? 'is required' : 'cannot be empty'}`;
+      continue;
+    }
+    try {
+      value[field] = check(raw, context);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors[field] = `${field} ${error.message}`;
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+module.exports = {
+  FieldError,
+  string,
+  password,
+  username,
+  number,
+  boolean,
+  oneOf,
+  objectId,
+  email,
+  phone,
+  language,
+  timeZone,
+  calendarDate,
+  array,
+  validateObject
+};